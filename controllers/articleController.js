@@ -1,105 +1,205 @@
 // import mongoose and article model
 const Article = require('../models/articleModel');
 const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Tag = require('../models/tagModel');
+const ArticleRevision = require('../models/articleRevisionModel');
+const Comment = require('../models/commentModel');
+const ArticleView = require('../models/articleViewModel');
+const ArticleViewStat = require('../models/articleViewStatModel');
+const Bookmark = require('../models/bookmarkModel');
+const Reaction = require('../models/reactionModel');
+const ReadingHistory = require('../models/readingHistoryModel');
 const { default: mongoose } = require('mongoose');
+const { TRANSITIONS, publishedFilter, visibleFilter } = require('../utils/articleWorkflow');
+const { CMS_ROLES, EDITOR_ROLES } = require('../utils/roles');
+const { searchTerms, highlight, escapeRegExp } = require('../utils/text');
+const { paginate } = require('../utils/pagination');
+const { renderHtml, renderText, readingStats } = require('../utils/blocks');
+const { startOf, recordView } = require('../utils/views');
+const { reactionTotals } = require('../utils/reactions');
+const { contributedByFilter } = require('../utils/contributors');
+const { SUMMARY_FIELDS, SUMMARY_PROJECTION, SUMMARY_POPULATE, formatArticleSummary, summarizeArticles } = require('../utils/articleSummary');
+const { etagFor, pickFields } = require('../utils/etag');
+const { saveArticleChanges } = require('../utils/articleChanges');
+
+// fields an editor can change through PUT and PATCH
+const EDITABLE_FIELDS = ['title', 'subtitle', 'slug', 'articleImage', 'imageAsset', 'articleType', 'description', 'body', 'mediaUrl', 'mediaAsset', 'mediaDuration', 'mediaSize', 'mediaType', 'category', 'tags', 'author', 'contributors'];
+
+// the orders of the public listing, newest first or by the number of likes
+const LISTING_SORT_FIELDS = { latest: 'publishDate', mostLiked: 'reactionCounts.like' };
+
+/**
+ * Resolves a categoryId query value to the category's ObjectId.
+ *
+ * @async
+ * @function resolveCategory
+ * @param {string} categoryId - An ObjectId, the custom `cat-...` categoryId or the category slug.
+ * @returns {Promise<mongoose.Types.ObjectId|string|null>} The ObjectId, or null if no such category exists.
+ */
+const resolveCategory = async (categoryId) => {
+    if (mongoose.isObjectIdOrHexString(categoryId)) return categoryId;
+    const categoryDoc = await Category.findOne({ $or: [{ categoryId }, { slug: categoryId }] });
+    return categoryDoc ? categoryDoc._id : null;
+};
 
 // create a async function to get all articles with filters
 /**
  * Retrieves a list of articles based on various query parameters such as page, category, tag, author name, and article type.
  * Supports pagination, filtering, and formatting of the response.
+ * Only published articles whose publishDate has passed are returned.
  *
  * @async
  * @function getArticles
  * @param {Object} req - The request object.
  * @param {Object} req.query - The query parameters from the request.
  * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
- * @param {string} [req.query.categoryId] - The category ID (can be a custom string or ObjectId).
- * @param {string} [req.query.tag] - The tag to filter articles by.
- * @param {string} [req.query.authorName] - The author's name to filter articles by (case-insensitive).
+ * @param {string} [req.query.categoryId] - The category ID (can be a custom string, slug or ObjectId).
+ * @param {boolean} [req.query.includeSubcategories=false] - Also return the articles of categories nested under categoryId.
+ * @param {string} [req.query.tag] - The tag to filter articles by, in any spelling (e.g. "ai" finds "AI").
+ * @param {string} [req.query.authorName] - The name of an author, co-author or other contributor to filter articles by (case-insensitive).
  * @param {string} [req.query.articleType] - The type of article to filter by (e.g., "text", "audio", "video").
+ * @param {string} [req.query.sort="latest"] - "latest" for the newest first, or "mostLiked" for the most likes first.
  * @param {number} [req.query.limit=10] - The number of articles to return per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response containing the filtered and paginated list of articles.
+ * @returns {Promise<void>} Sends a JSON response containing the filtered and paginated list of articles, each with
+ * its approved `commentCount` and its `reactionCounts`, with `totalCount`, `hasNextPage` and `nextCursor` alongside `page` and `totalPages`.
  *
  * @throws {Error} Returns a 404 status if no articles or category are found.
  * @throws {Error} Returns a 500 status if an internal server error occurs.
  */
 const getArticles = async (req, res) => {
     try {
-        const { page = 1, categoryId, tag, authorName, articleType } = req.query;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const { page = 1, limit = 10, cursor, categoryId, includeSubcategories, tag, authorName, articleType, sort = 'latest' } = req.query;
 
-        let query = {};
+        let query = publishedFilter();
 
         // Handle categoryId input: can be custom string or ObjectId
         if (categoryId) {
-            if (mongoose.Types.ObjectId.isValid(categoryId)) {
-                query.category = categoryId;
-            } else {
-                const categoryDoc = await Category.findOne({ categoryId });
-                if (!categoryDoc) {
-                    return res.status(404).json({ status: 0, message: 'Category not found' });
-                }
-                query.category = categoryDoc._id;
+            query.category = await resolveCategory(categoryId);
+            if (!query.category) {
+                return res.status(404).json({ status: 0, message: 'Category not found' });
+            }
+            if (includeSubcategories) {
+                query.category = { $in: [query.category, ...await Category.descendantIds(query.category)] };
             }
         }
 
-        if (tag) query.tags = tag;
+        // resolve the author name up front so the page and the count use the same filter
+        if (authorName) {
+            const authorIds = await Author.find({ authorName: new RegExp(`^${escapeRegExp(authorName)}$`, 'i') }).distinct('_id');
+            Object.assign(query, contributedByFilter(authorIds));
+        }
+
+        // any spelling of a tag finds the articles filed under its canonical name
+        if (tag) {
+            const tagDoc = await Tag.findByIdOrName(tag);
+            query.tags = tagDoc ? tagDoc.name : tag;
+        }
         if (articleType) query.articleType = articleType;
 
-        console.log('Query:', query);
+        const { items: articles, pageInfo } = await paginate(Article, query, {
+            sortField: LISTING_SORT_FIELDS[sort],
+            page,
+            limit,
+            cursor,
+            select: SUMMARY_FIELDS,
+            populate: SUMMARY_POPULATE,
+        });
 
-        // First, fetch articles with basic filters (except authorName)
-        let articlesQuery = Article.find(query)
-            .sort({ publishDate: -1 })
-            .populate({
-                path: 'author',
-                match: authorName ? { authorName: new RegExp(`^${authorName}$`, 'i') } : {},
-            })
-            .populate('category')
-            .select('title subtitle articleImage articleType category tags author publishDate')
-            .skip(skip)
-            .limit(limit);
+        if (articles.length === 0) {
+            return res.status(404).json({ status: 0, message: 'No articles found' });
+        }
 
-        let articles = await articlesQuery;
+        return res.status(200).json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles: await summarizeArticles(articles),
+                categoryId: categoryId || null,
+                tag: tag || null,
+                authorName: authorName || null,
+                sort,
+                ...pageInfo,
+            },
+        });
 
-        // Filter out articles with no matching author (if authorName was used)
-        if (authorName) {
-            articles = articles.filter(article => article.author);
-        }
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
 
-        if (articles.length === 0) {
-            return res.status(404).json({ status: 0, message: 'No articles found' });
+
+// create a get route to search articles
+/**
+ * Full-text searches published articles across title, subtitle, description and tags.
+ * Results are ranked by relevance and carry highlighted snippets of the matching fields.
+ *
+ * @async
+ * @function searchArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} req.query.q - The search text; supports "quoted phrases" and -excluded words.
+ * @param {string} [req.query.categoryId] - The category ID (can be a custom string, slug or ObjectId).
+ * @param {string} [req.query.articleType] - The type of article to filter by (e.g., "text", "audio", "video").
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles to return per page (default is 10).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the ranked results, each with a `score` and `highlights`.
+ * @throws {Error} Returns a 400 status if q is missing, a 404 status if the category is not found,
+ * or a 500 status if an internal server error occurs.
+ */
+const searchArticles = async (req, res) => {
+    try {
+        const { q, page = 1, categoryId, articleType } = req.query;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const query = { ...publishedFilter(), $text: { $search: q } };
+        if (categoryId) {
+            query.category = await resolveCategory(categoryId);
+            if (!query.category) {
+                return res.status(404).json({ status: 0, message: 'Category not found' });
+            }
         }
+        if (articleType) query.articleType = articleType;
 
-        const totalArticles = await Article.countDocuments(query);
-        const formattedArticles = articles.map(article => ({
-            title: article.title,
-            hero: article.articleImage,
-            categoryId: article.category?.categoryId || null,
-            categoryObjectId: article.category?._id || null,
-            authorId: article.author?.authorId || null,
-            authorObjectId: article.author?._id || null,
-            articleObjectId: article._id.toString(),
-            articleType: article.articleType === 'text' ? 1 : article.articleType === 'audio' ? 2 : 3,
-            tags: article.tags || [],
-            publishDate: article.publishDate || null,
+        const [articles, totalArticles] = await Promise.all([
+            Article.find(query, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, publishDate: -1 })
+                .populate(SUMMARY_POPULATE)
+                .select(`${SUMMARY_FIELDS} description`)
+                .skip(skip)
+                .limit(limit),
+            Article.countDocuments(query),
+        ]);
+
+        const terms = searchTerms(q);
+        const results = articles.map(article => ({
+            ...formatArticleSummary(article),
+            score: article.get('score'),
+            highlights: {
+                title: highlight(article.title, terms),
+                subtitle: highlight(article.subtitle, terms),
+                description: highlight(article.description, terms),
+                tags: (article.tags || []).filter(tag => terms.some(term => tag.toLowerCase().startsWith(term))),
+            },
         }));
 
         return res.status(200).json({
             status: 1,
             message: 'success',
             data: {
-                articles: formattedArticles,
+                articles: results,
+                q,
                 categoryId: categoryId || null,
-                tag: tag || null,
-                authorName: authorName || null,
+                articleType: articleType || null,
                 page: Number(page),
                 totalPages: Math.ceil(totalArticles / limit),
+                totalCount: totalArticles,
             },
         });
-
     } catch (error) {
         return res.status(500).json({ status: 0, message: error.message });
     }
@@ -108,15 +208,22 @@ const getArticles = async (req, res) => {
 
 // create a get route to get a single article by id
 /**
- * Retrieves an article by its ID, including its author and category details.
+ * Retrieves an article by its ID or slug, including its author and category details.
+ * Readers only see published articles, authors also the ones they are credited on, editors and admins
+ * see any status, see visibleFilter in utils/articleWorkflow.js.
+ * A slug the article used before is answered with a 301 redirect to its current slug.
+ * Reads by anyone but CMS users count as a view, see utils/views.js, and signed in readers get the
+ * article added to their reading history and see their own reaction.
  * 
  * @async
  * @function getArticleById
  * @param {Object} req - The request object.
  * @param {Object} req.params - The parameters from the request.
- * @param {string} req.params.id - The ID of the article to retrieve.
+ * @param {string} req.params.id - The ID or slug of the article to retrieve.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the article data if found, 
+ * @returns {Promise<void>} Sends a JSON response with the article data, the `breadcrumbs` of its category
+ * (top level category first), its `wordCount` and `readingTime` in minutes (counted from the description
+ * while the article has no body), its `reactionCounts` and the signed in user's `myReaction` if found,
  * or an error message if not found or if an error occurs.
  * 
  * @throws {Error} Returns a 404 status if the article is not found.
@@ -124,20 +231,335 @@ const getArticles = async (req, res) => {
  */
 const getArticleById = async (req, res) => {
     try {
-        const article = await Article.findById(req.params.id).populate('author category');
+        const { id } = req.params;
+        const visibility = visibleFilter(req.user);
+        const byId = mongoose.isObjectIdOrHexString(id);
+
+        const conditions = { ...visibility, ...(byId ? { _id: id } : { slug: id.toLowerCase() }) };
+        const article = await Article.findOne(conditions).populate('author category imageAsset mediaAsset');
+        if (!article) {
+            // an old slug keeps resolving to the article it used to belong to
+            const moved = !byId && await Article.findBySlugRedirect(id);
+            if (moved && await Article.exists({ _id: moved._id, ...visibility })) {
+                return res.redirect(301, `${req.baseUrl}/${moved.slug}`);
+            }
+            return res.status(404).json({ status: 0, message: 'Article not found' });
+        }
+        const breadcrumbs = article.category ? await Category.breadcrumbs(article.category._id) : [];
+        if (!CMS_ROLES.includes(req.user?.role)) await recordView(article._id, req);
+        if (req.user) await ReadingHistory.record(req.user.id, article._id);
+        const myReaction = req.user ? await Reaction.findOne({ article: article._id, user: req.user.id }).select('type') : null;
+        res.set('ETag', etagFor(article));
+        const { wordCount, readingTime } = readingStats(article.body, article.description);
+        res.status(200).json({
+            status: 1,
+            data: {
+                ...article.toJSON(),
+                breadcrumbs,
+                wordCount,
+                readingTime,
+                reactionCounts: reactionTotals(article.reactionCounts),
+                myReaction: myReaction?.type || null,
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a get route to render the body of an article
+/**
+ * Renders the body of an article as HTML or plain text, for clients that don't render blocks themselves.
+ * The article is looked up and shown to the same readers as with `getArticleById`.
+ *
+ * @async
+ * @function renderArticle
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} [req.query.format="html"] - "html" or "text".
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends the rendered body as text/html or text/plain.
+ * @throws {Error} Returns a 404 status if the article is not found, or a 500 status for server errors.
+ */
+const renderArticle = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { format = 'html' } = req.query;
+        const visibility = visibleFilter(req.user);
+        const byId = mongoose.isObjectIdOrHexString(id);
+
+        const article = await Article.findOne({ ...visibility, ...(byId ? { _id: id } : { slug: id.toLowerCase() }) })
+            .select('body updatedAt');
         if (!article) {
             return res.status(404).json({ status: 0, message: 'Article not found' });
         }
-        res.status(200).json({ status: 1, data: article });
+
+        res.set('Last-Modified', article.updatedAt.toUTCString());
+        if (format === 'text') {
+            return res.type('text/plain').send(renderText(article.body));
+        }
+        res.type('text/html').send(renderHtml(article.body));
     } catch (error) {
         res.status(500).json({ status: 0, message: error.message });
     }
 };
 
 
+// how much each kind of overlap with the source article adds to a candidate's score
+const RELATED_WEIGHTS = { sharedTag: 3, sameCategory: 2, sameAuthor: 1, recency: 1 };
+
+// age in days at which the recency bonus has halved
+const RELATED_RECENCY_HALF_LIFE_DAYS = 30;
+
+// create a get route to suggest articles related to an article
+/**
+ * Suggests published articles related to an article, for readers who finished it.
+ * Candidates share at least a tag, the category or the author with it and are scored by
+ * each shared tag, the same category, the same author and a bonus that fades with age.
+ *
+ * @async
+ * @function getRelatedArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the source article.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.limit=5] - The number of articles to suggest (default is 5).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the suggestions, best first, in the `getArticles` shape.
+ * @throws {Error} Returns a 404 status if the source article is not found, or a 500 status for server errors.
+ */
+const getRelatedArticles = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit = 5 } = req.query;
+        const visibility = visibleFilter(req.user);
+        const byId = mongoose.isObjectIdOrHexString(id);
+
+        const source = await Article.findOne({ ...visibility, ...(byId ? { _id: id } : { slug: id.toLowerCase() }) })
+            .select('tags category author');
+        if (!source) {
+            return res.status(404).json({ status: 0, message: 'Article not found' });
+        }
+
+        const tags = source.tags || [];
+        const ageInDays = { $divide: [{ $subtract: ['$$NOW', '$publishDate'] }, 24 * 60 * 60 * 1000] };
+
+        const related = await Article.aggregate([
+            {
+                $match: {
+                    ...publishedFilter(),
+                    _id: { $ne: source._id },
+                    $or: [{ tags: { $in: tags } }, { category: source.category }, { author: source.author }],
+                },
+            },
+            {
+                $addFields: {
+                    score: {
+                        $add: [
+                            { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }, RELATED_WEIGHTS.sharedTag] },
+                            { $cond: [{ $eq: ['$category', source.category] }, RELATED_WEIGHTS.sameCategory, 0] },
+                            { $cond: [{ $eq: ['$author', source.author] }, RELATED_WEIGHTS.sameAuthor, 0] },
+                            {
+                                $divide: [
+                                    RELATED_WEIGHTS.recency,
+                                    { $add: [1, { $divide: [ageInDays, RELATED_RECENCY_HALF_LIFE_DAYS] }] },
+                                ],
+                            },
+                        ],
+                    },
+                },
+            },
+            { $sort: { score: -1, publishDate: -1, _id: -1 } },
+            { $limit: limit },
+            { $project: SUMMARY_PROJECTION },
+        ]);
+        await Article.populate(related, SUMMARY_POPULATE);
+
+        return res.status(200).json({
+            status: 1,
+            message: 'success',
+            data: { articles: related.map(formatArticleSummary) },
+        });
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+
+// trending windows in hours, ranked on hourly views with recent hours weighing the most
+const TRENDING_WINDOWS = { '1h': 1, '6h': 6, '24h': 24, '48h': 48 };
+const TRENDING_HALF_LIFE_HOURS = 6;
+
+// most-read windows in days, ranked on daily views; "all" has no start
+const MOST_READ_WINDOWS = { day: 1, week: 7, month: 30, year: 365, all: null };
+
+/**
+ * Ranks published articles by their views in the rollups of one period.
+ *
+ * @async
+ * @function rankByViews
+ * @param {Object} options - The options.
+ * @param {string} options.period - "hour" or "day", the rollups to read.
+ * @param {Date|null} options.since - The start of the window, null for all time.
+ * @param {Object|number} options.weight - The weight of a rollup in the score, an aggregation expression or 1.
+ * @param {Object} options.filter - Conditions on the articles (category, articleType).
+ * @param {number} options.limit - The number of articles to return.
+ * @returns {Promise<Array<Object>>} The articles in the `getArticles` shape, best first, each with its `views`.
+ */
+const rankByViews = async ({ period, since, weight, filter, limit }) => {
+    const ranked = await ArticleViewStat.aggregate([
+        { $match: { period, ...(since ? { start: { $gte: since } } : {}) } },
+        { $group: { _id: '$article', views: { $sum: '$count' }, score: { $sum: { $multiply: ['$count', weight] } } } },
+        {
+            $lookup: {
+                from: Article.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'article',
+                pipeline: [
+                    { $match: { ...publishedFilter(), deletedAt: null, ...filter } },
+                    { $project: SUMMARY_PROJECTION },
+                ],
+            },
+        },
+        { $unwind: '$article' },
+        { $sort: { score: -1, views: -1, _id: -1 } },
+        { $limit: limit },
+    ]);
+    await Article.populate(ranked.map(({ article }) => article), SUMMARY_POPULATE);
+    return ranked.map(({ article, views }) => ({ ...formatArticleSummary(article), views }));
+};
+
+// the article conditions shared by the rankings: a category with its subcategories and an article type
+const rankingFilter = async ({ categoryId, articleType }) => {
+    const filter = {};
+    if (categoryId) {
+        const category = await resolveCategory(categoryId);
+        if (!category) return null;
+        filter.category = { $in: [new mongoose.Types.ObjectId(String(category)), ...await Category.descendantIds(category)] };
+    }
+    if (articleType) filter.articleType = articleType;
+    return filter;
+};
+
+// create a get route for the trending articles
+/**
+ * Lists the articles readers are reading right now: views over the last hours, with each hour
+ * weighing half as much as the one 6 hours later.
+ *
+ * @async
+ * @function getTrendingArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} [req.query.window="24h"] - "1h", "6h", "24h" or "48h".
+ * @param {string} [req.query.categoryId] - Only this category and its subcategories (custom ID, slug or ObjectId).
+ * @param {string} [req.query.articleType] - Only "text", "audio" or "video" articles.
+ * @param {number} [req.query.limit=10] - The number of articles to return (default is 10).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape, each with its `views` in the window.
+ * @throws {Error} Returns a 404 status if the category is not found, or a 500 status for server errors.
+ */
+const getTrendingArticles = async (req, res) => {
+    try {
+        const { window = '24h', limit = 10 } = req.query;
+        const filter = await rankingFilter(req.query);
+        if (!filter) {
+            return res.status(404).json({ status: 0, message: 'Category not found' });
+        }
+
+        const ageInHours = { $divide: [{ $subtract: ['$$NOW', '$start'] }, 60 * 60 * 1000] };
+        const articles = await rankByViews({
+            period: 'hour',
+            since: startOf(new Date(Date.now() - (TRENDING_WINDOWS[window] - 1) * 60 * 60 * 1000), 'hour'),
+            weight: { $pow: [0.5, { $divide: [ageInHours, TRENDING_HALF_LIFE_HOURS] }] },
+            filter,
+            limit,
+        });
+
+        return res.status(200).json({ status: 1, message: 'success', data: { articles, window } });
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a get route for the most read articles
+/**
+ * Lists the articles with the most views over the last days.
+ *
+ * @async
+ * @function getMostReadArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} [req.query.window="week"] - "day", "week", "month", "year" or "all", counted in whole UTC days.
+ * @param {string} [req.query.categoryId] - Only this category and its subcategories (custom ID, slug or ObjectId).
+ * @param {string} [req.query.articleType] - Only "text", "audio" or "video" articles.
+ * @param {number} [req.query.limit=10] - The number of articles to return (default is 10).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape, each with its `views` in the window.
+ * @throws {Error} Returns a 404 status if the category is not found, or a 500 status for server errors.
+ */
+const getMostReadArticles = async (req, res) => {
+    try {
+        const { window = 'week', limit = 10 } = req.query;
+        const filter = await rankingFilter(req.query);
+        if (!filter) {
+            return res.status(404).json({ status: 0, message: 'Category not found' });
+        }
+
+        const days = MOST_READ_WINDOWS[window];
+        const articles = await rankByViews({
+            period: 'day',
+            since: days ? startOf(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000), 'day') : null,
+            weight: 1,
+            filter,
+            limit,
+        });
+
+        return res.status(200).json({ status: 1, message: 'success', data: { articles, window } });
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a post route for the view beacon
+/**
+ * Counts a view of a published article, for pages that are served from a cache or rendered without
+ * calling `getArticleById`. Meant for `navigator.sendBeacon`, the body is ignored. Signed in readers
+ * also get the article added to their reading history.
+ *
+ * @async
+ * @function recordArticleView
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a 202 JSON response telling whether the view was `counted`; repeated views of
+ * the same visitor within 30 minutes and crawlers are not.
+ * @throws {Error} Returns a 404 status if the article is not published, or a 500 status for server errors.
+ */
+const recordArticleView = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const byId = mongoose.isObjectIdOrHexString(id);
+        const article = await Article.findOne({ ...publishedFilter(), ...(byId ? { _id: id } : { slug: id.toLowerCase() }) }).select('_id');
+        if (!article) {
+            return res.status(404).json({ status: 0, message: 'Article not found' });
+        }
+
+        const counted = await recordView(article._id, req);
+        if (req.user) await ReadingHistory.record(req.user.id, article._id);
+        return res.status(202).json({ status: 1, message: 'success', data: { counted } });
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+
 // create a post route to create a new article
 /**
- * Creates a new article in the database.
+ * Creates a new article in the database as a draft and stores it as revision 1.
  *
  * @async
  * @function createArticle
@@ -145,52 +567,51 @@ const getArticleById = async (req, res) => {
  * @param {Object} req.body - The body of the request containing article details.
  * @param {string} req.body.title - The title of the article (required).
  * @param {string} [req.body.subtitle] - The subtitle of the article (optional).
- * @param {string} req.body.articleImage - The URL of the article's image (required).
+ * @param {string} [req.body.slug] - The URL slug, generated from the title if omitted (optional).
+ * @param {string} req.body.articleImage - The URL of the article's image (required unless imageAsset is given).
+ * @param {string} [req.body.imageAsset] - The ID of an image from the asset library, fills articleImage (optional).
  * @param {string} [req.body.articleType="text"] - The type of the article, can be "text", "audio", or "video" (default is "text").
  * @param {string} [req.body.description] - The description of the article (optional).
+ * @param {Array<Object>} [req.body.body] - The article text as typed blocks, see utils/blocks.js (optional).
  * @param {string} [req.body.mediaUrl] - The URL of the media associated with the article (optional).
+ * @param {string} [req.body.mediaAsset] - The ID of an audio or video asset matching the article type, fills mediaUrl (optional).
+ * @param {number} [req.body.mediaDuration] - The length of the media in seconds (optional).
+ * @param {number} [req.body.mediaSize] - The size of the media file in bytes, taken from mediaAsset when given (optional).
+ * @param {string} [req.body.mediaType] - The MIME type of the media file, taken from mediaAsset when given (optional).
  * @param {string} req.body.category - The ID of the category the article belongs to (required).
  * @param {Array<string>} [req.body.tags] - An array of tags associated with the article (optional).
  * @param {string} req.body.author - The ID of the author of the article (required).
+ * @param {Array<Object>} [req.body.contributors] - The byline in order, each `{author, role}`; the author is added when missing (optional).
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the status and the created article data or an error message.
- * @throws {Error} Returns a 400 status if required fields are missing or invalid, or a 500 status for server errors.
+ * @throws {Error} Returns a 400 status if an asset is missing or of the wrong kind, or a 500 status for server errors
+ * (invalid payloads are rejected by createArticleValidation).
  */
 const createArticle = async (req, res) => {
     try {
         //destructure the request body
-        const { title, subtitle, articleImage, articleType = "text", description, mediaUrl, category, tags, author } = req.body;
-
-        // check if the required fields are present
-        if (!title || !articleImage || !category || !author) {
-            return res.status(400).json({ status: 0, message: 'Please provide all required fields' });
-        }
-
-        // check if the articleType is valid
-        const validArticleTypes = ['text', 'audio', 'video'];
-        if (!validArticleTypes.includes(articleType)) {
-            return res.status(400).json({ status: 0, message: 'Invalid article type' });
-        }
-        // check if the category and author are valid ObjectIds
-        if (!mongoose.Types.ObjectId.isValid(category)) {
-            return res.status(400).json({ status: 0, message: 'Invalid category ID' });
-        }
+        const { title, subtitle, slug, articleImage, imageAsset, articleType = "text", description, body, mediaUrl, mediaAsset, mediaDuration, mediaSize, mediaType, category, tags, author, contributors } = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(author)) {
-            return res.status(400).json({ status: 0, message: 'Invalid author ID' });
-        }
-
-        // create a request body object to create a new article
+        // required fields, the article type and the IDs are checked by createArticleValidation,
+        // so create a request body object to create a new article
         const articleData = {
             title,
             subtitle,
+            slug,
             articleImage,
+            imageAsset,
             articleType,
             description,
+            body,
             mediaUrl,
+            mediaAsset,
+            mediaDuration,
+            mediaSize,
+            mediaType,
             category,
             tags,
             author,
+            contributors,
         };
 
         // create a new article instance and save it to the database
@@ -198,8 +619,13 @@ const createArticle = async (req, res) => {
         const article = new Article(articleData);
         try {
             await article.save();
+            await ArticleRevision.record(article, { userId: req.user.id, action: 'create' });
             res.status(201).json({ status: 1, data: article });
         } catch (saveError) {
+            // e.g. an asset that doesn't exist or doesn't fit the article type
+            if (saveError.name === 'ValidationError') {
+                return res.status(400).json({ status: 0, message: saveError.message });
+            }
             res.status(500).json({ status: 0, message: 'Error saving article', error: saveError.message });
         }
     } catch (error) {
@@ -209,26 +635,29 @@ const createArticle = async (req, res) => {
 
 // create a put route to update an article by id
 /**
- * Updates an existing article in the database.
+ * Updates an existing article in the database and stores the result as a new revision.
  *
  * @async
  * @function updateArticle
  * @param {Object} req - The request object.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.id - The ID of the article to update.
- * @param {Object} req.body - The request body containing article data.
+ * @param {Object} req.body - The request body containing article data. Omitted optional fields are left unchanged.
  * @param {string} req.body.title - The title of the article (required).
  * @param {string} [req.body.subtitle] - The subtitle of the article (optional).
+ * @param {string} [req.body.slug] - The URL slug; regenerated from a changed title if omitted (optional).
  * @param {string} req.body.articleImage - The URL of the article's image (required).
- * @param {string} [req.body.articleType="text"] - The type of the article (default is "text").
+ * @param {string} [req.body.articleType] - The type of the article (optional).
  * @param {string} [req.body.description] - The description of the article (optional).
  * @param {string} [req.body.mediaUrl] - The URL of any associated media (optional).
  * @param {string} req.body.category - The category of the article (required).
  * @param {Array<string>} [req.body.tags] - The tags associated with the article (optional).
  * @param {string} req.body.author - The author of the article (required).
+ * @param {Array<Object>} [req.body.contributors] - The byline in order, each `{author, role}` (optional).
+ * @param {number} [req.body.version] - The version the change is based on, checked like If-Match (optional).
  * @param {Object} res - The response object.
  * @returns {void} Sends a JSON response with the updated article or an error message.
- * @throws {Error} Returns a 500 status code if an unexpected error occurs.
+ * @throws {Error} Returns a 412 status for a stale If-Match, a 409 status if the article changed since the given version, or a 500 status code if an unexpected error occurs.
  */
 const updateArticle = async (req, res) => {
     try {
@@ -237,50 +666,307 @@ const updateArticle = async (req, res) => {
             return res.status(400).json({ status: 0, message: 'Invalid article ID' });
         }
 
-        // check if the required fields are present
-        const { title, subtitle, articleImage, articleType = "text", description, mediaUrl, category, tags, author } = req.body;
+        // required fields are checked by updateArticleValidation;
+        // omitted optional fields keep their current value, articleType included
+        const articleData = pickFields(req.body, EDITABLE_FIELDS);
 
-        if (!title || !articleImage || !category || !author) {
-            return res.status(400).json({ status: 0, message: 'Please provide all required fields' });
+        const saved = await saveArticleChanges(req, res, articleData);
+        if (saved) res.status(200).json({ status: 1, data: saved.article });
+    }
+    catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+}
+
+// create a patch route to partially update an article by id
+/**
+ * Partially updates an article: only the fields present in the body are changed.
+ * Send the ETag from a previous read in `If-Match` (or its `__v` as `version` in the body)
+ * to get a 412 (or 409) instead of overwriting someone else's changes.
+ *
+ * @async
+ * @function patchArticle
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article to update.
+ * @param {Object} req.body - Any of title, subtitle, slug, articleImage, articleType, description, mediaUrl, category, tags, author
+ * and contributors; contributors without an author make the first "author" of the byline the primary author.
+ * @param {number} [req.body.version] - The version the change is based on (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated article and its new ETag header.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the article is not found,
+ * a 412 status for a stale If-Match, a 409 status if the article changed since the given version, or a 500 status for server errors.
+ */
+const patchArticle = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
         }
 
-        // create a request body object to update the article
-        const articleData = {
-            title,
-            subtitle,
-            articleImage,
-            articleType,
-            description,
-            mediaUrl,
-            category,
-            tags,
-            author,
+        const saved = await saveArticleChanges(req, res, pickFields(req.body, EDITABLE_FIELDS));
+        if (saved) res.status(200).json({ status: 1, data: saved.article });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a get route to list articles for the CMS
+/**
+ * Retrieves articles in any workflow status for the CMS, newest first.
+ * Users with the author role only see the articles their own Author record is credited on.
+ *
+ * @async
+ * @function getCmsArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} [req.query.status] - The workflow status to filter by (e.g., "draft", "in_review").
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles to return per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response containing the paginated list of articles.
+ * @throws {Error} Returns a 500 status if an internal server error occurs.
+ */
+const getCmsArticles = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, cursor, status } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (!EDITOR_ROLES.includes(req.user.role)) Object.assign(query, contributedByFilter([req.user.author]));
+
+        const { items: articles, pageInfo } = await paginate(Article, query, {
+            sortField: 'updatedAt',
+            page,
+            limit,
+            cursor,
+            select: 'title subtitle slug articleImage articleType category tags author status publishDate updatedAt',
+            populate: [['author', 'authorId authorName'], ['category', 'categoryId categoryName']],
+        });
+
+        return res.status(200).json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles,
+                status: status || null,
+                ...pageInfo,
+            },
+        });
+    } catch (error) {
+        return res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+/**
+ * Builds a route handler that moves an article through one step of the publishing workflow.
+ * The allowed source statuses and the target status come from TRANSITIONS in utils/articleWorkflow.js.
+ * Each transition bumps the article's version, returned in the ETag header, and is recorded as a revision.
+ *
+ * @function changeArticleStatus
+ * @param {string} action - The workflow action ("submit", "approve", "reject", "schedule" or "archive").
+ * @returns {Function} An async route handler. It reads an optional `comment` from the body, and
+ * `publishDate` for the schedule action. Sends 404 if the article is not found, 409 if the
+ * transition is not allowed from the article's current status, or 500 for server errors.
+ */
+const changeArticleStatus = (action) => async (req, res) => {
+    try {
+        const { from, to, message } = TRANSITIONS[action];
+        const articleId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(articleId)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
+
+        const current = await Article.findById(articleId).select('status');
+        if (!current) {
+            return res.status(404).json({ status: 0, message: 'Article not found' });
+        }
+        if (!from.includes(current.status)) {
+            return res.status(409).json({ status: 0, message: `Cannot ${action} an article that is ${current.status}` });
+        }
+
+        // a transition is a change like any other: it bumps the version so older ETags stop matching
+        const update = {
+            status: to,
+            $inc: { __v: 1 },
+            $push: {
+                statusHistory: { from: current.status, to, comment: req.body?.comment, by: req.user.id, at: new Date() },
+            },
         };
+        if (action === 'approve') update.publishDate = new Date();
+        if (action === 'schedule') update.publishDate = new Date(req.body.publishDate);
+
+        // only apply the change if nobody moved the article in the meantime
+        const article = await Article.findOneAndUpdate(
+            { _id: articleId, status: current.status },
+            update,
+            { new: true }
+        );
+        if (!article) {
+            return res.status(409).json({ status: 0, message: 'Article status changed, please reload and try again' });
+        }
 
-        // update the article in the database
-        const article = await Article.findByIdAndUpdate(articleId, articleData, { new: true });
+        await ArticleRevision.record(article, { userId: req.user.id, action });
+        res.set('ETag', etagFor(article));
+        res.status(200).json({ status: 1, message, data: article });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
 
+// create a delete route to move an article to the trash
+/**
+ * Moves an article to the trash. It disappears from every listing but can be restored.
+ *
+ * @async
+ * @function deleteArticle
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article to delete.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted article.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the article is not found, or a 500 status for server errors.
+ */
+const deleteArticle = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
 
+        const article = await Article.findById(req.params.id);
         if (!article) {
             return res.status(404).json({ status: 0, message: 'Article not found' });
         }
-        res.status(200).json({ status: 1, data: article });
+
+        await article.softDelete(req.user.id);
+        res.status(200).json({ status: 1, message: 'Article moved to trash', data: article });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
     }
-    catch (error) {
+};
+
+// create a get route to list the articles in the trash
+/**
+ * Retrieves the articles in the trash, most recently deleted first.
+ *
+ * @async
+ * @function getDeletedArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles to return per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response containing the trashed articles.
+ * @throws {Error} Returns a 500 status if an internal server error occurs.
+ */
+const getDeletedArticles = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, cursor } = req.query;
+
+        const { items: articles, pageInfo } = await paginate(Article, { deletedAt: { $ne: null } }, {
+            sortField: 'deletedAt',
+            page,
+            limit,
+            cursor,
+            select: 'title articleType category author status deletedAt deletedBy',
+            populate: [['author', 'authorId authorName'], ['category', 'categoryId categoryName']],
+        });
+
+        res.status(200).json({
+            status: 1,
+            message: 'success',
+            data: { articles, ...pageInfo },
+        });
+    } catch (error) {
         res.status(500).json({ status: 0, message: error.message });
     }
-}
+};
 
+// create a post route to restore an article from the trash
+/**
+ * Restores an article from the trash with the status it had before deletion.
+ *
+ * @async
+ * @function restoreArticle
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article to restore.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the restored article.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the article is not in the trash, or a 500 status for server errors.
+ */
+const restoreArticle = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
 
+        const article = await Article.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!article) {
+            return res.status(404).json({ status: 0, message: 'Article not found in trash' });
+        }
 
+        await article.restore();
+        res.status(200).json({ status: 1, message: 'Article restored', data: article });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
 
+// create a delete route to permanently remove an article from the trash
+/**
+ * Permanently deletes an article with its comments and reactions, and removes it from bookmarks and reading histories. Only articles already in the trash can be purged.
+ *
+ * @async
+ * @function purgeArticle
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article to purge.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the purge.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the article is not in the trash, or a 500 status for server errors.
+ */
+const purgeArticle = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
 
+        const result = await Article.deleteOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ status: 0, message: 'Article not found in trash' });
+        }
+        await Promise.all([Comment, Reaction, Bookmark, ReadingHistory, ArticleRevision, ArticleView, ArticleViewStat]
+            .map(model => model.deleteMany({ article: req.params.id })));
 
+        res.status(200).json({ status: 1, message: 'Article permanently deleted' });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
 
 // Export the router instance
 module.exports = {
     getArticles,
+    searchArticles,
     getArticleById,
+    renderArticle,
+    getRelatedArticles,
+    getTrendingArticles,
+    getMostReadArticles,
+    recordArticleView,
+    getCmsArticles,
     createArticle,
-    updateArticle
+    updateArticle,
+    patchArticle,
+    submitArticle: changeArticleStatus('submit'),
+    approveArticle: changeArticleStatus('approve'),
+    rejectArticle: changeArticleStatus('reject'),
+    scheduleArticle: changeArticleStatus('schedule'),
+    archiveArticle: changeArticleStatus('archive'),
+    deleteArticle,
+    getDeletedArticles,
+    restoreArticle,
+    purgeArticle
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+// import mongoose and the article and revision models
+const mongoose = require('mongoose');
+const Article = require('../models/articleModel');
+const ArticleRevision = require('../models/articleRevisionModel');
+const { diffFields } = require('../utils/diff');
+const { paginate } = require('../utils/pagination');
+const { saveArticleChanges } = require('../utils/articleChanges');
+
+// create a get route to list the revisions of an article
+/**
+ * Retrieves the revision history of an article, newest first, without the snapshots.
+ *
+ * @async
+ * @function getRevisions
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of revisions per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the revisions (rev, action, editor and date).
+ * @throws {Error} Returns a 400 status if the ID is invalid, or a 500 status for server errors.
+ */
+const getRevisions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
+
+        const { page = 1, limit = 20, cursor } = req.query;
+        const { items: revisions, pageInfo } = await paginate(ArticleRevision, { article: req.params.id }, {
+            sortField: 'rev',
+            page,
+            limit,
+            cursor,
+            select: '-snapshot -__v',
+            populate: [['editedBy', 'name email']],
+        });
+
+        res.status(200).json({
+            status: 1,
+            message: 'success',
+            data: { revisions, ...pageInfo },
+        });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a get route to get a single revision with its snapshot
+/**
+ * Retrieves one revision of an article including the full snapshot.
+ *
+ * @async
+ * @function getRevision
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {string} req.params.rev - The revision number.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the revision.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the revision is not found, or a 500 status for server errors.
+ */
+const getRevision = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
+
+        const revision = await ArticleRevision.findOne({ article: req.params.id, rev: Number(req.params.rev) })
+            .populate('editedBy', 'name email');
+        if (!revision) {
+            return res.status(404).json({ status: 0, message: 'Revision not found' });
+        }
+
+        res.status(200).json({ status: 1, data: revision });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a get route to compare two revisions
+/**
+ * Compares two revisions of an article field by field. Workflow and bookkeeping fields are ignored.
+ *
+ * @async
+ * @function diffRevisions
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.to] - The newer revision (defaults to the latest).
+ * @param {number} [req.query.from] - The older revision (defaults to the one before `to`).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the list of changed fields and their old and new values.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if either revision is not found, or a 500 status for server errors.
+ */
+const diffRevisions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
+
+        let to = Number(req.query.to);
+        if (!to) {
+            const latest = await ArticleRevision.findOne({ article: req.params.id }).sort({ rev: -1 }).select('rev');
+            to = latest?.rev;
+        }
+        const from = Number(req.query.from) || to - 1;
+
+        const [older, newer] = await Promise.all([
+            ArticleRevision.findOne({ article: req.params.id, rev: from }),
+            ArticleRevision.findOne({ article: req.params.id, rev: to }),
+        ]);
+        if (!older || !newer) {
+            return res.status(404).json({ status: 0, message: 'Revision not found' });
+        }
+
+        res.status(200).json({
+            status: 1,
+            data: {
+                from,
+                to,
+                changes: diffFields(
+                    ArticleRevision.contentOf(older.snapshot),
+                    ArticleRevision.contentOf(newer.snapshot)
+                ),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// create a post route to roll an article back to an earlier revision
+/**
+ * Rolls an article's content back to an earlier revision. The workflow status is left as is,
+ * and the rollback itself is stored as a new revision so it can be undone. Like PATCH, it honours
+ * `If-Match` (or a `version` in the body) so a rollback doesn't overwrite edits made since.
+ *
+ * @async
+ * @function restoreRevision
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {string} req.params.rev - The revision number to restore.
+ * @param {number} [req.body.version] - The version the rollback is based on (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the restored article and the new revision number, and its new ETag header.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the article or revision is not found,
+ * a 412 status for a stale If-Match, a 409 status if the article changed since the given version, or a 500 status for server errors.
+ */
+const restoreRevision = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ status: 0, message: 'Invalid article ID' });
+        }
+
+        const revision = await ArticleRevision.findOne({ article: req.params.id, rev: Number(req.params.rev) });
+        if (!revision) {
+            const exists = await Article.exists({ _id: req.params.id });
+            return res.status(404).json({ status: 0, message: exists ? 'Revision not found' : 'Article not found' });
+        }
+
+        // fields added after the revision was taken are cleared, so the content matches it exactly
+        const content = ArticleRevision.contentOf(revision.snapshot);
+        const saved = await saveArticleChanges(req, res, (article) => {
+            const current = ArticleRevision.contentOf(article.toObject());
+            for (const field of Object.keys(current)) {
+                if (!(field in content)) article.set(field, undefined);
+            }
+            article.set(content);
+        }, { action: 'restore', restoredFrom: revision.rev });
+        if (!saved) return;
+
+        res.status(200).json({
+            status: 1,
+            message: `Article restored to revision ${revision.rev}`,
+            data: { article: saved.article, rev: saved.revision.rev },
+        });
+    } catch (error) {
+        res.status(500).json({ status: 0, message: error.message });
+    }
+};
+
+// Export the route handlers
+module.exports = {
+    getRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
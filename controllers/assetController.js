@@ -0,0 +1,313 @@
+// import the asset model and the models referencing assets
+const path = require('path');
+const crypto = require('crypto');
+const Asset = require('../models/assetModel');
+const Article = require('../models/articleModel');
+const Author = require('../models/authorModel');
+const { MEDIA_RULES, ARTICLE_TYPE_MEDIA, FILE_EXTENSIONS, kindOf, matchesMimeType, createImageVariants } = require('../utils/media');
+const { getStorage } = require('../utils/storage');
+const { paginate } = require('../utils/pagination');
+const { escapeRegExp } = require('../utils/text');
+const slugify = require('../utils/slugify');
+
+// storage key for a new upload: grouped by month, random prefix, readable name; the extension
+// follows the checked MIME type so the file is never served as something else
+const storageKey = (filename, mimeType) => {
+    const now = new Date();
+    const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+    const name = slugify(path.basename(filename, path.extname(filename))) || 'file';
+    return `${month}/${crypto.randomBytes(6).toString('hex')}-${name}.${FILE_EXTENSIONS[mimeType]}`;
+};
+
+// storage key of a generated image size, next to the original
+const variantKey = (key, name) => `${key.slice(0, key.length - path.extname(key).length)}-${name}.webp`;
+
+/**
+ * Uploads an image, audio or video file to the asset library. Images get a thumbnail and
+ * responsive sizes. With `articleType` the file must be usable by that type of article. The content
+ * must match the declared MIME type, which also sets the extension of the stored file.
+ *
+ * @async
+ * @function uploadAsset
+ * @param {Object} req - The request object.
+ * @param {Object} req.file - The uploaded file, received by the upload middleware.
+ * @param {Object} req.body - The other multipart fields.
+ * @param {string} [req.body.articleType] - "text", "audio" or "video", restricts the accepted kinds (optional).
+ * @param {string} [req.body.alt] - The alternative text of an image (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the created asset.
+ * @throws {Error} Returns a 400 status if no file is given, the kind doesn't fit the article type, the content
+ * isn't of the declared type or the image can't be read, a 413 status if the file is over the limit of its kind, or a 500 status for server errors.
+ */
+const uploadAsset = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            status: 0,
+            message: 'No file uploaded'
+        });
+    }
+
+    try {
+        const { originalname, mimetype, size, path: file } = req.file;
+        const { articleType, alt = '' } = req.body;
+        const kind = kindOf(mimetype);
+
+        if (articleType && !ARTICLE_TYPE_MEDIA[articleType].includes(kind)) {
+            return res.status(400).json({
+                status: 0,
+                message: `A ${articleType} article can only use ${ARTICLE_TYPE_MEDIA[articleType].join(' or ')} files`
+            });
+        }
+        if (size > MEDIA_RULES[kind].maxSize) {
+            return res.status(413).json({
+                status: 0,
+                message: `${kind} files can be at most ${MEDIA_RULES[kind].maxSize / (1024 * 1024)} MB`
+            });
+        }
+
+        if (!await matchesMimeType(file, mimetype)) {
+            return res.status(400).json({
+                status: 0,
+                message: `The file is not a valid ${mimetype} file`
+            });
+        }
+
+        let image = null;
+        if (kind === 'image') {
+            try {
+                image = await createImageVariants(file);
+            } catch {
+                return res.status(400).json({
+                    status: 0,
+                    message: 'The image could not be read'
+                });
+            }
+        }
+
+        const storage = getStorage();
+        const key = storageKey(originalname, mimetype);
+        const url = await storage.put({ key, file, contentType: mimetype });
+
+        const variants = [];
+        for (const variant of image?.variants || []) {
+            const vKey = variantKey(key, variant.name);
+            variants.push({
+                name: variant.name,
+                key: vKey,
+                url: await storage.put({ key: vKey, body: variant.body, contentType: 'image/webp' }),
+                width: variant.width,
+                height: variant.height,
+                size: variant.body.length
+            });
+        }
+
+        const asset = await Asset.create({
+            kind,
+            filename: originalname,
+            mimeType: mimetype,
+            size,
+            key,
+            url,
+            storage: process.env.STORAGE_DRIVER || 'local',
+            width: image?.width,
+            height: image?.height,
+            variants,
+            alt,
+            uploadedBy: req.user.id
+        });
+
+        res.status(201).json({
+            status: 1,
+            message: 'Asset uploaded successfully',
+            data: asset
+        });
+    } catch (err) {
+        console.error('Error uploading asset:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Browses the asset library, newest first.
+ *
+ * @async
+ * @function getAssets
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.kind] - "image", "audio" or "video" (optional).
+ * @param {string} [req.query.q] - Text the file name must contain (optional).
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of assets per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the page of assets and the pagination metadata.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getAssets = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, cursor, kind, q } = req.query;
+        const filter = {};
+        if (kind) filter.kind = kind;
+        if (q) filter.filename = new RegExp(escapeRegExp(q), 'i');
+
+        const { items: assets, pageInfo } = await paginate(Asset, filter, { page, limit, cursor, select: '-__v' });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { assets, kind: kind || null, q: q || null, ...pageInfo }
+        });
+    } catch (err) {
+        console.error('Error fetching assets:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Retrieves a single asset with its generated sizes.
+ *
+ * @async
+ * @function getAssetById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the asset.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the asset.
+ * @throws {Error} Returns a 404 status if the asset is not found, or a 500 status for server errors.
+ */
+const getAssetById = async (req, res) => {
+    try {
+        const asset = await Asset.findById(req.params.id).select('-__v');
+        if (!asset) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Asset not found'
+            });
+        }
+        res.json({
+            status: 1,
+            message: 'success',
+            data: asset
+        });
+    } catch (err) {
+        console.error('Error fetching asset:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Updates the alternative text of an asset.
+ *
+ * @async
+ * @function updateAsset
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the asset.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.alt - The new alternative text.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated asset.
+ * @throws {Error} Returns a 404 status if the asset is not found, or a 500 status for server errors.
+ */
+const updateAsset = async (req, res) => {
+    try {
+        const asset = await Asset.findById(req.params.id);
+        if (!asset) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Asset not found'
+            });
+        }
+
+        asset.alt = req.body.alt;
+        await asset.save();
+
+        res.json({
+            status: 1,
+            message: 'Asset updated successfully',
+            data: asset
+        });
+    } catch (err) {
+        console.error('Error updating asset:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Deletes an asset and its files. Refused while any article or author, trashed ones included,
+ * still references it.
+ *
+ * @async
+ * @function deleteAsset
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the asset.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the deletion.
+ * @throws {Error} Returns a 404 status if the asset is not found, a 409 status if it is still in use,
+ * or a 500 status for server errors.
+ */
+const deleteAsset = async (req, res) => {
+    try {
+        const asset = await Asset.findById(req.params.id);
+        if (!asset) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Asset not found'
+            });
+        }
+
+        const [articleCount, authorCount] = await Promise.all([
+            Article.countDocuments({ $or: [{ imageAsset: asset._id }, { mediaAsset: asset._id }, { 'body.asset': asset._id }] }).withDeleted(),
+            Author.countDocuments({ imageAsset: asset._id }).withDeleted()
+        ]);
+        if (articleCount + authorCount > 0) {
+            return res.status(409).json({
+                status: 0,
+                message: `Asset is still used by ${articleCount} articles and ${authorCount} authors`,
+                data: { articleCount, authorCount }
+            });
+        }
+
+        const storage = getStorage();
+        await Promise.all([asset.key, ...asset.variants.map(variant => variant.key)].map(key => storage.remove(key)));
+        await Asset.deleteOne({ _id: asset._id });
+
+        res.json({
+            status: 1,
+            message: 'Asset deleted successfully'
+        });
+    } catch (err) {
+        console.error('Error deleting asset:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    uploadAsset,
+    getAssets,
+    getAssetById,
+    updateAsset,
+    deleteAsset
+};
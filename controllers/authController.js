@@ -1,9 +1,54 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const {
+    refreshTokenTtlMs,
+    hashToken,
+    randomToken,
+    signAccessToken,
+    buildRefreshToken,
+    parseRefreshToken
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail } = require('../utils/emails');
+
+// mail failures must not fail the request that triggered them
+const sendMailSafely = async (message) => {
+    try {
+        await sendMail(message);
+    } catch (err) {
+        console.error('Mail error:', err);
+    }
+};
+
+// start a session for the user on the requesting device and mint its first token pair
+const startSession = async (user, req) => {
+    const secret = randomToken();
+    const session = await Session.create({
+        user: user._id,
+        device: req.body.device || req.get('User-Agent') || 'unknown',
+        ip: req.ip,
+        refreshTokenHash: hashToken(secret),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+    });
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken: buildRefreshToken(session._id, secret)
+    };
+};
+
+// the session is valid for access tokens if it exists, is not revoked and has not expired
+const isSessionActive = (sessionId) => Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
 
 /**
- * Registers a new user in the system.
+ * Registers a new user in the system and emails them a link to verify their address.
  *
  * @async
  * @function register
@@ -12,8 +57,9 @@ const bcrypt = require('bcryptjs');
  * @param {string} req.body.name - The name of the user.
  * @param {string} req.body.email - The email of the user.
  * @param {string} req.body.password - The password of the user.
+ * @param {string} [req.body.device] - A name for the device, defaults to the User-Agent (optional).
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the registration status, token, and user data.
+ * @returns {Promise<void>} Sends a JSON response with the registration status, access and refresh tokens, and user data.
  * @throws {Error} Returns a 400 status if the email is already in use, or a 500 status for server errors.
  */
 const register = async (req, res) => {
@@ -36,15 +82,13 @@ const register = async (req, res) => {
             email,
             password
         });
+        const verificationToken = user.createEmailVerificationToken();
 
         await user.save();
+        await sendMailSafely(verificationEmail(user, verificationToken));
 
-        // 3. Generate JWT token
-        const token = jwt.sign(
-            { id: user._id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // 3. Start a session and generate the token pair
+        const { token, refreshToken } = await startSession(user, req);
 
         // 4. Send response
         res.status(201).json({
@@ -52,10 +96,13 @@ const register = async (req, res) => {
             message: 'Registration successful',
             data: {
                 token,
+                refreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    role: user.role,
+                    emailVerified: user.emailVerified
                 }
             }
         });
@@ -78,8 +125,9 @@ const register = async (req, res) => {
  * @param {Object} req.body - The body of the request containing login credentials.
  * @param {string} req.body.email - The email of the user.
  * @param {string} req.body.password - The password of the user.
+ * @param {string} [req.body.device] - A name for the device, defaults to the User-Agent (optional).
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the login status, token, and user data.
+ * @returns {Promise<void>} Sends a JSON response with the login status, access and refresh tokens, and user data.
  * @throws {Error} Returns a 401 status if credentials are invalid, or a 500 status for server errors.
  */
 const login = async (req, res) => {
@@ -104,13 +152,8 @@ const login = async (req, res) => {
             });
         }
 
-        // 3. Create JWT token
-        const token = jwt.sign(
-            { id: user._id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
-
+        // 3. Start a session and create the token pair
+        const { token, refreshToken } = await startSession(user, req);
 
         // 4. Send response
         res.json({
@@ -118,10 +161,13 @@ const login = async (req, res) => {
             message: 'Login successful',
             data: {
                 token,
+                refreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    role: user.role,
+                    emailVerified: user.emailVerified
                 }
             }
         });
@@ -136,18 +182,20 @@ const login = async (req, res) => {
 };
 
 /**
- * Verifies the JWT token provided in the request header.
+ * Verifies the JWT token provided in the request header and checks that its session is still active.
  *
+ * @async
  * @function verifyToken
  * @param {Object} req - The request object.
  * @param {Object} req.header - The headers of the request.
  * @param {string} req.header.Authorization - The authorization header containing the Bearer token.
  * @param {Object} res - The response object.
  * @param {Function} next - The next middleware function.
- * @returns {void} Calls the next middleware if the token is valid, or sends a 401 status if invalid.
- * @throws {Error} Returns a 401 status if the token is missing or invalid.
+ * @returns {Promise<void>} Calls the next middleware if the token is valid, or sends a 401 status if invalid.
+ * @throws {Error} Returns a 401 status if the token is missing, invalid or belongs to a revoked session.
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
+    let decoded;
     try {
         // 1. Get token from header
         const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -160,22 +208,540 @@ const verifyToken = (req, res, next) => {
         }
 
         // 2. Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // 3. Reject tokens whose session was logged out or revoked
+        if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                status: 0,
+                message: 'Session has been revoked'
+            });
+        }
 
     } catch (err) {
         console.error('Token verification error:', err);
-        res.status(401).json({
+        return res.status(401).json({
             status: 0,
             message: 'Invalid token'
         });
     }
+
+    req.user = decoded;
+    next();
+};
+
+/**
+ * Updates the role of a user and optionally links them to an Author record.
+ *
+ * @async
+ * @function updateUserRole
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the user to update.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.role - The new role (reader, author, editor or admin).
+ * @param {string|null} [req.body.author] - The ID of the Author record the user writes as (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated user data.
+ * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the user is not found, or a 500 status for server errors.
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const { role, author } = req.body;
+        const update = { role };
+        if (author !== undefined) update.author = author;
+
+        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+        if (!user) {
+            return res.status(404).json({
+                status: 0,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'User role updated successfully',
+            data: {
+                id: user._id,
+                email: user.email,
+                name: user.name,
+                role: user.role,
+                author: user.author
+            }
+        });
+
+    } catch (err) {
+        console.error('Update role error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Attaches the user from the JWT token when one is provided, without requiring it.
+ * Invalid, revoked or missing tokens are treated as an anonymous request.
+ *
+ * @async
+ * @function optionalToken
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {Promise<void>} Always calls the next middleware.
+ */
+const optionalToken = async (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.sid && await isSessionActive(decoded.sid)) req.user = decoded;
+        } catch (err) {
+            // fall through as anonymous
+        }
+    }
+    next();
+};
+
+/**
+ * Exchanges a refresh token for a new access and refresh token pair.
+ * Refresh tokens are single use: every call rotates the token, and presenting an already
+ * rotated token again revokes the whole session since it means the token was leaked.
+ *
+ * @async
+ * @function refresh
+ * @param {Object} req - The request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.refreshToken - The refresh token from login, register or a previous refresh.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the new token pair.
+ * @throws {Error} Returns a 401 status if the refresh token is invalid, expired, revoked or reused, or a 500 status for server errors.
+ */
+const refresh = async (req, res) => {
+    try {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        const session = parsed && mongoose.isValidObjectId(parsed.sessionId)
+            ? await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHashes')
+            : null;
+
+        if (!session || !session.isActive()) {
+            return res.status(401).json({
+                status: 0,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        const presentedHash = hashToken(parsed.secret);
+
+        // 1. A rotated token came back: someone else holds a copy, kill the session
+        if (presentedHash !== session.refreshTokenHash) {
+            if (session.previousTokenHashes.includes(presentedHash)) {
+                await Session.updateOne(
+                    { _id: session._id },
+                    { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+                );
+                return res.status(401).json({
+                    status: 0,
+                    message: 'Refresh token reuse detected, session revoked'
+                });
+            }
+            return res.status(401).json({
+                status: 0,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        // 2. Rotate, guarding against a concurrent refresh with the same token
+        const secret = randomToken();
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                refreshTokenHash: hashToken(secret),
+                $push: { previousTokenHashes: { $each: [presentedHash], $slice: -100 } },
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+            }
+        );
+        if (!rotated) {
+            return res.status(401).json({
+                status: 0,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        // 3. Re-read the user so role changes apply from the next access token
+        const user = await User.findById(session.user);
+        if (!user) {
+            return res.status(401).json({
+                status: 0,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'Token refreshed',
+            data: {
+                token: signAccessToken(user, session._id),
+                refreshToken: buildRefreshToken(session._id, secret)
+            }
+        });
+
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Logs out the current session, revoking its access and refresh tokens.
+ *
+ * @async
+ * @function logout
+ * @param {Object} req - The request object, with `req.user` set by verifyToken.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the logout.
+ * @throws {Error} Returns a 500 status for server errors.
+ */
+const logout = async (req, res) => {
+    try {
+        await Session.updateOne(
+            { _id: req.user.sid, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'logout' }
+        );
+
+        res.json({
+            status: 1,
+            message: 'Logged out successfully'
+        });
+
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Logs the user out of every device by revoking all of their sessions.
+ *
+ * @async
+ * @function logoutAll
+ * @param {Object} req - The request object, with `req.user` set by verifyToken.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the number of revoked sessions.
+ * @throws {Error} Returns a 500 status for server errors.
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const result = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+        res.json({
+            status: 1,
+            message: 'Logged out of all devices',
+            data: { revokedSessions: result.modifiedCount }
+        });
+
+    } catch (err) {
+        console.error('Logout all error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Lists the active sessions (devices) of the current user.
+ *
+ * @async
+ * @function getSessions
+ * @param {Object} req - The request object, with `req.user` set by verifyToken.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the sessions, flagging the one making the request.
+ * @throws {Error} Returns a 500 status for server errors.
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                sessions: sessions.map(session => ({
+                    id: session._id,
+                    device: session.device,
+                    ip: session.ip,
+                    createdAt: session.createdAt,
+                    lastUsedAt: session.lastUsedAt,
+                    current: String(session._id) === String(req.user.sid)
+                }))
+            }
+        });
+
+    } catch (err) {
+        console.error('Sessions error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Revokes one of the current user's sessions, logging that device out.
+ *
+ * @async
+ * @function revokeSession
+ * @param {Object} req - The request object, with `req.user` set by verifyToken.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the session to revoke.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the revocation.
+ * @throws {Error} Returns a 404 status if the session is not found, or a 500 status for server errors.
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const session = mongoose.isValidObjectId(req.params.id)
+            ? await Session.findOneAndUpdate(
+                { _id: req.params.id, user: req.user.id, revokedAt: null },
+                { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+            )
+            : null;
+
+        if (!session) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'Session revoked'
+        });
+
+    } catch (err) {
+        console.error('Revoke session error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Verifies a user's email address with the token emailed on registration.
+ *
+ * @async
+ * @function verifyEmail
+ * @param {Object} req - The request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.token - The verification token from the email.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the verification.
+ * @throws {Error} Returns a 400 status if the token is invalid, used or expired, or a 500 status for server errors.
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        // claim the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: hashToken(req.body.token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                emailVerified: true,
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'Email verified successfully'
+        });
+
+    } catch (err) {
+        console.error('Verify email error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Sends a fresh verification email to the current user, replacing any earlier token.
+ *
+ * @async
+ * @function resendVerification
+ * @param {Object} req - The request object, with `req.user` set by verifyToken.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the email was sent.
+ * @throws {Error} Returns a 400 status if the email is already verified, a 404 status if the user is gone, or a 500 status for server errors.
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                status: 0,
+                message: 'User not found'
+            });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Email is already verified'
+            });
+        }
+
+        const token = user.createEmailVerificationToken();
+        await user.save();
+        await sendMailSafely(verificationEmail(user, token));
+
+        res.json({
+            status: 1,
+            message: 'Verification email sent'
+        });
+
+    } catch (err) {
+        console.error('Resend verification error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Emails a password reset link if an account exists for the address.
+ * Always answers the same way so the endpoint can't be used to find registered emails.
+ *
+ * @async
+ * @function forgotPassword
+ * @param {Object} req - The request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.email - The email of the account.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the request.
+ * @throws {Error} Returns a 500 status for server errors.
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            const token = user.createPasswordResetToken();
+            await user.save();
+            await sendMailSafely(passwordResetEmail(user, token));
+        }
+
+        res.json({
+            status: 1,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * Sets a new password using a reset token, then logs the user out of every device.
+ *
+ * @async
+ * @function resetPassword
+ * @param {Object} req - The request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.token - The reset token from the email.
+ * @param {string} req.body.password - The new password.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the reset.
+ * @throws {Error} Returns a 400 status if the token is invalid, used or expired, or a 500 status for server errors.
+ */
+const resetPassword = async (req, res) => {
+    try {
+        // claim the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: hashToken(req.body.token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+            { new: true }
+        ).select('+password');
+
+        if (!user) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        // the reset link reached their inbox, so the address is verified too
+        user.password = req.body.password;
+        user.emailVerified = true;
+        await user.save();
+        await Session.revokeAllForUser(user._id, 'password_reset');
+
+        res.json({
+            status: 1,
+            message: 'Password reset successfully'
+        });
+
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
 };
 
 // Export the functions
 module.exports = {
     register,
     login,
-    verifyToken
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    verifyToken,
+    optionalToken,
+    updateUserRole
 };
\ No newline at end of file
@@ -4,23 +4,116 @@ const Author = require('../models/authorModel.js');
 // import mongoose for ObjectId validation
 const mongoose = require('mongoose');
 
+// import the Article model for the articles an author contributed to
+const Article = require('../models/articleModel');
+
+// import helpers for articles referencing a deleted author
+const {
+    ON_ARTICLES_POLICIES,
+    applyArticlePolicy,
+    restoreCascadedArticles,
+    countAllArticleReferences,
+    countArticlesBy
+} = require('../utils/articleReferences');
+
+// import helpers for optimistic concurrency
+const { etagFor, versionConflict, conflictResponse, pickFields } = require('../utils/etag');
+
+// import the shared page/cursor pagination
+const { paginate, sortOptions } = require('../utils/pagination');
+
+// import helpers to count articles per author
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { escapeRegExp } = require('../utils/text');
+const { CMS_ROLES } = require('../utils/roles');
+const { contributedByFilter } = require('../utils/contributors');
+const { SUMMARY_FIELDS, SUMMARY_POPULATE, summarizeArticles } = require('../utils/articleSummary');
+
+// fields an editor can change through PUT and PATCH
+const EDITABLE_FIELDS = ['authorName', 'slug', 'authorImage', 'imageAsset', 'description'];
+
+// sort keys accepted by the listing; _id follows creation order and is always selected
+const SORT_FIELDS = { name: 'authorName', createdAt: '_id' };
+
+// query conditions matching an author by ObjectId, by the short authorId or by slug
+const authorConditions = (id) => (
+    mongoose.isObjectIdOrHexString(id)
+        ? { _id: id }
+        : { $or: [{ authorId: id }, { slug: String(id).toLowerCase() }] }
+);
+
+// shared by PUT and PATCH: check the version, apply the changes and save
+const saveAuthorChanges = async (req, res, changes) => {
+    const author = await Author.findOne(authorConditions(req.params.id));
+    if (!author) {
+        return res.status(404).json({
+            status: 0,
+            message: 'Author not found'
+        });
+    }
+    const conflict = versionConflict(req, author);
+    if (conflict) {
+        return res.status(conflict).json(conflictResponse(author));
+    }
+
+    author.set(changes);
+    try {
+        // optimisticConcurrency makes save fail if someone saved in between
+        await author.save();
+    } catch (err) {
+        if (err.name !== 'VersionError') throw err;
+        const latest = await Author.findById(author._id);
+        return res.status(409).json(conflictResponse(latest || author));
+    }
+
+    res.set('ETag', etagFor(author));
+    res.json({
+        status: 1,
+        message: 'Author updated successfully',
+        data: author
+    });
+};
+
 /**
- * Retrieves all authors from the database.
+ * Retrieves the authors a page at a time, optionally searched by name, each with its article count.
+ * Anonymous users and readers get the number of published articles, CMS users the number of all articles.
  *
  * @async
  * @function getAuthors
  * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.q] - Text the name must contain (case-insensitive).
+ * @param {string} [req.query.sort="createdAt"] - "name" or "createdAt", prefixed with "-" for descending.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=100] - The number of authors per page (default is 100).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the list of authors or an error message.
+ * @returns {Promise<void>} Sends a JSON response with the page of authors (each with `articleCount`, the articles they are
+ * credited on in any role) and the pagination metadata, or an error message.
  * @throws {Error} Returns a 500 status if a server error occurs.
  */
 const getAuthors = async (req, res) => {
     try {
-        const authors = await Author.find().select('-__v');
+        // the default page is large enough to list every author of most sites in one go
+        const { page = 1, limit = 100, cursor, q, sort = 'createdAt' } = req.query;
+        const filter = q ? { authorName: new RegExp(escapeRegExp(q), 'i') } : {};
+
+        const { items, pageInfo } = await paginate(Author, filter, {
+            ...sortOptions(sort, SORT_FIELDS),
+            page,
+            limit,
+            cursor,
+            select: '-__v'
+        });
+
+        const articleFilter = req.user && CMS_ROLES.includes(req.user.role) ? {} : publishedFilter();
+        const counts = await countArticlesBy('author', items.map(author => author._id), articleFilter);
+        const authors = items.map(author => ({ ...author.toObject(), articleCount: counts.get(String(author._id)) || 0 }));
+
         res.json({
             status: 1,
             message: 'success',
-            data: { authors }
+            data: { authors, q: q || null, sort, ...pageInfo }
         });
     } catch (err) {
         console.error('Error fetching authors:', err);
@@ -33,15 +126,17 @@ const getAuthors = async (req, res) => {
 };
 
 /**
- * Retrieves a single author by ID from the database.
+ * Retrieves a single author by ID or slug from the database, with the number of published articles
+ * they contributed to in any role.
+ * A slug the author used before is answered with a 301 redirect to their current slug.
  *
  * @async
  * @function getAuthorById
  * @param {Object} req - The request object.
  * @param {Object} req.params - The request parameters.
- * @param {string} req.params.id - The ID of the author to retrieve.
+ * @param {string} req.params.id - The ObjectId, authorId or slug of the author to retrieve.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the author data or an error message.
+ * @returns {Promise<void>} Sends a JSON response with the author data and its `contributionCount`, or an error message.
  * @throws {Error} Returns a 400 status if the ID is invalid, a 404 status if the author is not found, or a 500 status for server errors.
  */
 const getAuthorById = async (req, res) => {
@@ -55,10 +150,16 @@ const getAuthorById = async (req, res) => {
         }
         let author = null;
 
-        // Check if the authorId is a valid ObjectId
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        // Check if the authorId is a valid ObjectId, otherwise look it up by authorId or slug
+        if (!mongoose.isObjectIdOrHexString(req.params.id)) {
             try {
-                author = await Author.findOne({ authorId: req.params.id });
+                author = await Author.findOne(authorConditions(req.params.id));
+
+                // an old slug keeps resolving to the author it used to belong to
+                const moved = !author && await Author.findBySlugRedirect(req.params.id);
+                if (moved) {
+                    return res.redirect(301, `${req.baseUrl}/${moved.slug}`);
+                }
             } catch (err) {
                 console.error('Error fetching author by authorId:', err);
                 return res.status(500).json({
@@ -88,10 +189,13 @@ const getAuthorById = async (req, res) => {
             });
         }
 
+        const contributionCount = await Article.countDocuments({ ...publishedFilter(), ...contributedByFilter([author._id]) });
+
+        res.set('ETag', etagFor(author));
         res.json({
             status: 1,
             message: 'success',
-            data: author
+            data: { ...author.toObject(), contributionCount }
         });
     } catch (err) {
         console.error('Error fetching author:', err);
@@ -103,6 +207,77 @@ const getAuthorById = async (req, res) => {
     }
 };
 
+/**
+ * Retrieves the published articles an author contributed to, as the primary author or in any other
+ * role, newest first.
+ *
+ * @async
+ * @function getAuthorArticles
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ObjectId, authorId or slug of the author.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.role] - Only the articles the author worked on in this role, e.g. "photographer" (optional).
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape, each with the `roles`
+ * of the author on it, and the pagination metadata.
+ * @throws {Error} Returns a 404 status if the author is not found, or a 500 status for server errors.
+ */
+const getAuthorArticles = async (req, res) => {
+    try {
+        const { role, page = 1, limit = 10, cursor } = req.query;
+        const author = await Author.findOne(authorConditions(req.params.id)).select('_id');
+        if (!author) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Author not found'
+            });
+        }
+
+        const filter = { ...publishedFilter(), ...contributedByFilter([author._id]) };
+        if (role) {
+            // articles saved before contributors existed only credit their primary author
+            filter.$or = [{ contributors: { $elemMatch: { author: author._id, role } } }];
+            if (role === 'author') filter.$or.push({ author: author._id, contributors: { $size: 0 } });
+        }
+
+        const { items: articles, pageInfo } = await paginate(Article, filter, {
+            sortField: 'publishDate',
+            page,
+            limit,
+            cursor,
+            select: SUMMARY_FIELDS,
+            populate: SUMMARY_POPULATE
+        });
+        const summaries = await summarizeArticles(articles);
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles: summaries.map(summary => ({
+                    ...summary,
+                    roles: summary.contributors
+                        .filter(contributor => contributor.authorObjectId.equals(author._id))
+                        .map(contributor => contributor.role)
+                })),
+                role: role || null,
+                ...pageInfo
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching author articles:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
 /**
  * Creates a new author in the database.
  *
@@ -111,7 +286,9 @@ const getAuthorById = async (req, res) => {
  * @param {Object} req - The request object.
  * @param {Object} req.body - The body of the request containing author details.
  * @param {string} req.body.authorName - The name of the author.
+ * @param {string} [req.body.slug] - The URL slug, generated from the name if omitted (optional).
  * @param {string} req.body.authorImage - The URL of the author's image.
+ * @param {string} [req.body.imageAsset] - The ID of an image from the asset library, fills authorImage (optional).
  * @param {string} [req.body.description] - A description of the author (optional).
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the created author data or an error message.
@@ -119,8 +296,8 @@ const getAuthorById = async (req, res) => {
  */
 const createAuthor = async (req, res) => {
     try {
-        const { authorName, authorImage, description } = req.body;
-        const newAuthor = await Author.create({ authorName, authorImage, description });
+        const { authorName, slug, authorImage, imageAsset, description } = req.body;
+        const newAuthor = await Author.create({ authorName, slug, authorImage, imageAsset, description });
 
         res.status(201).json({
             status: 1,
@@ -147,49 +324,266 @@ const createAuthor = async (req, res) => {
  * @param {string} req.params.id - The ID of the author to update.
  * @param {Object} req.body - The body of the request containing updated author details.
  * @param {string} [req.body.authorName] - The updated name of the author (optional).
+ * @param {string} [req.body.slug] - The updated URL slug (optional).
  * @param {string} [req.body.authorImage] - The updated URL of the author's image (optional).
  * @param {string} [req.body.description] - The updated description of the author (optional).
+ * @param {number} [req.body.version] - The version the change is based on, checked like If-Match (optional).
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the updated author data or an error message.
- * @throws {Error} Returns a 404 status if the author is not found, a 400 status if validation fails, or a 500 status for server errors.
+ * @throws {Error} Returns a 404 status if the author is not found, a 412 status for a stale If-Match,
+ * a 409 status if the author changed since the given version, a 400 status if validation fails, or a 500 status for server errors.
  */
 const updateAuthorById = async (req, res) => {
     try {
-        const { authorName, authorImage, description } = req.body;
+        await saveAuthorChanges(req, res, pickFields(req.body, EDITABLE_FIELDS));
+    } catch (err) {
+        console.error('Error updating author:', err);
+        res.status(400).json({
+            status: 0,
+            message: 'Validation failed',
+            error: err.message
+        });
+    }
+};
 
-        let updatedAuthor = null;
+/**
+ * Partially updates an author: only the fields present in the body are changed.
+ * Send the ETag from a previous read in `If-Match` (or its `__v` as `version` in the body)
+ * to get a 412 (or 409) instead of overwriting someone else's changes.
+ *
+ * @async
+ * @function patchAuthorById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the author to update.
+ * @param {Object} req.body - Any of authorName, slug, authorImage and description.
+ * @param {number} [req.body.version] - The version the change is based on (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated author and its new ETag header.
+ * @throws {Error} Returns a 400 status if no field is given or validation fails, a 404 status if the author is not found,
+ * a 412 status for a stale If-Match, a 409 status if the author changed since the given version, or a 500 status for server errors.
+ */
+const patchAuthorById = async (req, res) => {
+    try {
+        // patchAuthorValidation makes sure at least one field is present
+        await saveAuthorChanges(req, res, pickFields(req.body, EDITABLE_FIELDS));
+    } catch (err) {
+        console.error('Error updating author:', err);
+        res.status(400).json({
+            status: 0,
+            message: 'Validation failed',
+            error: err.message
+        });
+    }
+};
 
-        if (mongoose.isValidObjectId(req.params.id)) {
-            updatedAuthor = await Author.findByIdAndUpdate(
-                req.params.id,
-                { authorName, authorImage, description },
-                { new: true }
-            );
-        } else {
-            updatedAuthor = await Author.findOneAndUpdate(
-                { authorId: req.params.id },
-                { authorName, authorImage, description },
-                { new: true }
-            );
+/**
+ * Moves an author to the trash, applying a policy to the articles still linked to them.
+ *
+ * @async
+ * @function deleteAuthorById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the author to delete.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.onArticles="block"] - "block", "reassign" or "cascade" (see utils/articleReferences.js).
+ * @param {string} [req.query.reassignTo] - The ID of the author to move the articles to, required for "reassign".
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted author and the number of affected articles.
+ * @throws {Error} Returns a 400 status for an invalid policy or reassign target, a 404 status if the author is not found,
+ * a 409 status if the author still has articles and the policy is "block", or a 500 status for server errors.
+ */
+const deleteAuthorById = async (req, res) => {
+    try {
+        const { onArticles = 'block', reassignTo } = req.query;
+        if (!ON_ARTICLES_POLICIES.includes(onArticles)) {
+            return res.status(400).json({
+                status: 0,
+                message: `onArticles must be one of ${ON_ARTICLES_POLICIES.join(', ')}`
+            });
         }
 
-        if (!updatedAuthor) {
+        const author = await Author.findOne(authorConditions(req.params.id));
+        if (!author) {
             return res.status(404).json({
                 status: 0,
                 message: 'Author not found'
             });
         }
 
+        let target = null;
+        if (onArticles === 'reassign') {
+            target = reassignTo ? await Author.findOne(authorConditions(reassignTo)) : null;
+            if (!target || target._id.equals(author._id)) {
+                return res.status(400).json({
+                    status: 0,
+                    message: 'A different, existing author is required in reassignTo'
+                });
+            }
+        }
+
+        const deletedAt = new Date();
+        const { articleCount, blocked } = await applyArticlePolicy({
+            field: 'author',
+            id: author._id,
+            onArticles,
+            reassignTo: target?._id,
+            deletedAt,
+            userId: req.user.id
+        });
+        if (blocked) {
+            return res.status(409).json({
+                status: 0,
+                message: `Author still has ${articleCount} articles; reassign or cascade them`,
+                data: { articleCount }
+            });
+        }
+
+        await author.softDelete(req.user.id, deletedAt);
+
         res.json({
             status: 1,
-            message: 'Author updated successfully',
-            data: updatedAuthor
+            message: 'Author moved to trash',
+            data: { author, onArticles, articleCount }
         });
     } catch (err) {
-        console.error('Error updating author:', err);
-        res.status(400).json({
+        console.error('Error deleting author:', err);
+        res.status(500).json({
             status: 0,
-            message: 'Validation failed',
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Retrieves the authors in the trash, most recently deleted first.
+ *
+ * @async
+ * @function getDeletedAuthors
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of authors per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the trashed authors.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getDeletedAuthors = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, cursor } = req.query;
+        const { items: authors, pageInfo } = await paginate(Author, { deletedAt: { $ne: null } }, {
+            sortField: 'deletedAt',
+            page,
+            limit,
+            cursor,
+            select: '-__v'
+        });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { authors, ...pageInfo }
+        });
+    } catch (err) {
+        console.error('Error fetching deleted authors:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Restores an author from the trash, optionally with the articles cascaded along with them.
+ *
+ * @async
+ * @function restoreAuthorById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the author to restore.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.cascade] - "true" to also restore the articles trashed together with the author.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the restored author.
+ * @throws {Error} Returns a 404 status if the author is not in the trash, or a 500 status for server errors.
+ */
+const restoreAuthorById = async (req, res) => {
+    try {
+        const author = await Author.findOne({ ...authorConditions(req.params.id), deletedAt: { $ne: null } });
+        if (!author) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Author not found in trash'
+            });
+        }
+
+        const deletedAt = author.deletedAt;
+        await author.restore();
+        const restoredArticles = req.query.cascade === 'true'
+            ? await restoreCascadedArticles('author', author._id, deletedAt)
+            : 0;
+
+        res.json({
+            status: 1,
+            message: 'Author restored',
+            data: { author, restoredArticles }
+        });
+    } catch (err) {
+        console.error('Error restoring author:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Permanently deletes an author from the trash. Refused while any article, trashed or not, still references them.
+ *
+ * @async
+ * @function purgeAuthorById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the author to purge.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the purge.
+ * @throws {Error} Returns a 404 status if the author is not in the trash, a 409 status if articles still
+ * reference them, or a 500 status for server errors.
+ */
+const purgeAuthorById = async (req, res) => {
+    try {
+        const author = await Author.findOne({ ...authorConditions(req.params.id), deletedAt: { $ne: null } });
+        if (!author) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Author not found in trash'
+            });
+        }
+
+        const articleCount = await countAllArticleReferences('author', author._id);
+        if (articleCount > 0) {
+            return res.status(409).json({
+                status: 0,
+                message: `Author is still referenced by ${articleCount} articles`,
+                data: { articleCount }
+            });
+        }
+
+        await Author.deleteOne({ _id: author._id });
+
+        res.json({
+            status: 1,
+            message: 'Author permanently deleted'
+        });
+    } catch (err) {
+        console.error('Error purging author:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
             error: err.message
         });
     }
@@ -199,6 +593,12 @@ const updateAuthorById = async (req, res) => {
 module.exports = {
     getAuthors,
     getAuthorById,
+    getAuthorArticles,
     createAuthor,
-    updateAuthorById
+    updateAuthorById,
+    patchAuthorById,
+    deleteAuthorById,
+    getDeletedAuthors,
+    restoreAuthorById,
+    purgeAuthorById
 };
\ No newline at end of file
@@ -1,24 +1,147 @@
 // import category model
-const { isValidObjectId } = require('mongoose');
+const { isObjectIdOrHexString } = require('mongoose');
 const Category = require('../models/categoryModel');
+const {
+    ON_ARTICLES_POLICIES,
+    applyArticlePolicy,
+    restoreCascadedArticles,
+    countAllArticleReferences,
+    countArticlesBy
+} = require('../utils/articleReferences');
+
+const { etagFor, versionConflict, conflictResponse, pickFields } = require('../utils/etag');
+const { paginate, sortOptions } = require('../utils/pagination');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { escapeRegExp } = require('../utils/text');
+const { CMS_ROLES } = require('../utils/roles');
+
+// fields an editor can change through PUT and PATCH
+const EDITABLE_FIELDS = ['categoryName', 'slug', 'parent', 'podcast'];
+
+// sort keys accepted by the listing; _id follows creation order and is always selected
+const SORT_FIELDS = { name: 'categoryName', createdAt: '_id' };
+
+// query conditions matching a category by its ObjectId, its custom categoryId or its slug
+const categoryConditions = (id) => {
+    if (isObjectIdOrHexString(id)) return { _id: id };
+    if (id.startsWith('cat-')) return { $or: [{ categoryId: id }, { slug: id.toLowerCase() }] };
+    return { slug: id.toLowerCase() };
+};
+
+// why the given parent can't be used for the category (null when creating), or null if it can
+const parentError = async (category, parentId) => {
+    if (!parentId) return null;
+    if (!await Category.exists({ _id: parentId })) return 'Parent category not found';
+    if (!category) return null;
+
+    // moving a category under itself or its own subtree would create a cycle
+    const descendants = await Category.descendantIds(category._id);
+    if (category._id.equals(parentId) || descendants.some(id => id.equals(parentId))) {
+        return 'A category cannot be nested under itself or one of its subcategories';
+    }
+    return null;
+};
+
+// nest the flat list of categories under their parents, children sorted by name;
+// categories whose parent is missing or in the trash are treated as top level
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const byName = (a, b) => a.categoryName.localeCompare(b.categoryName);
+    const sortLevel = (level) => {
+        level.sort(byName);
+        level.forEach(node => sortLevel(node.children));
+        return level;
+    };
+    return sortLevel(roots);
+};
+
+// shared by PUT and PATCH: check the version, apply the changes and save
+const saveCategoryChanges = async (req, res, changes) => {
+    const conditions = categoryConditions(req.params.id);
+    const category = await Category.findOne(conditions);
+    if (!category) {
+        return res.status(404).json({
+            status: 0,
+            message: 'Category not found',
+        });
+    }
+    const conflict = versionConflict(req, category);
+    if (conflict) {
+        return res.status(conflict).json(conflictResponse(category));
+    }
+    if (changes.parent !== undefined) {
+        const error = await parentError(category, changes.parent);
+        if (error) {
+            return res.status(400).json({
+                status: 0,
+                message: error,
+            });
+        }
+    }
+
+    category.set(changes);
+    try {
+        // optimisticConcurrency makes save fail if someone saved in between
+        await category.save();
+    } catch (err) {
+        if (err.name !== 'VersionError') throw err;
+        const latest = await Category.findById(category._id);
+        return res.status(409).json(conflictResponse(latest || category));
+    }
+
+    res.set('ETag', etagFor(category));
+    return res.json({
+        status: 1,
+        message: 'Category updated successfully',
+        data: category,
+    });
+};
 
 /**
- * Retrieves all categories from the database.
+ * Retrieves the categories a page at a time, optionally searched by name, each with its article count.
+ * Anonymous users and readers get the number of published articles, CMS users the number of all articles.
  *
  * @async
  * @function getCategories
  * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.q] - Text the name must contain (case-insensitive).
+ * @param {string} [req.query.sort="createdAt"] - "name" or "createdAt", prefixed with "-" for descending.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=100] - The number of categories per page (default is 100).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} Sends a JSON response with the list of categories or an error message.
+ * @returns {Promise<void>} Sends a JSON response with the page of categories (each with `articleCount`) and the pagination metadata, or an error message.
  * @throws {Error} Returns a 500 status if a server error occurs.
  */
 const getCategories = async (req, res) => {
     try {
-        const categories = await Category.find().select('-__v -createdAt -updatedAt');
+        // the default page is large enough to list every category of most sites in one go
+        const { page = 1, limit = 100, cursor, q, sort = 'createdAt' } = req.query;
+        const filter = q ? { categoryName: new RegExp(escapeRegExp(q), 'i') } : {};
+
+        const { items, pageInfo } = await paginate(Category, filter, {
+            ...sortOptions(sort, SORT_FIELDS),
+            page,
+            limit,
+            cursor,
+            select: '-__v -createdAt -updatedAt',
+        });
+
+        const articleFilter = req.user && CMS_ROLES.includes(req.user.role) ? {} : publishedFilter();
+        const counts = await countArticlesBy('category', items.map(category => category._id), articleFilter);
+        const categories = items.map(category => ({ ...category.toObject(), articleCount: counts.get(String(category._id)) || 0 }));
+
         res.json({
             status: 1,
             message: 'success',
-            data: { categories }
+            data: { categories, q: q || null, sort, ...pageInfo }
         });
     } catch (err) {
         console.error('Error fetching categories:', err);
@@ -31,13 +154,43 @@ const getCategories = async (req, res) => {
 };
 
 /**
- * Retrieves a single category by ID from the database.
+ * Retrieves every category nested under its parent, top level categories first,
+ * each level sorted by name.
+ *
+ * @async
+ * @function getCategoryTree
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the tree, each node holding its `children`.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getCategoryTree = async (req, res) => {
+    try {
+        const categories = await Category.find().select('categoryId categoryName slug parent').lean();
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { tree: buildTree(categories) }
+        });
+    } catch (err) {
+        console.error('Error fetching category tree:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Retrieves a single category by ID or slug from the database.
+ * A slug the category used before is answered with a 301 redirect to its current slug.
  *
  * @async
  * @function getCategoryById
  * @param {Object} req - The request object.
  * @param {Object} req.params - The request parameters.
- * @param {string} req.params.id - The ID of the category to retrieve.
+ * @param {string} req.params.id - The ObjectId, categoryId or slug of the category to retrieve.
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the category data or an error message.
  * @throws {Error} Returns a 404 status if the category is not found, or a 500 status for server errors.
@@ -46,23 +199,24 @@ const getCategoryById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        let category = null;
-
-        // If id starts with 'cat-', find by categoryId
-        if (id.startsWith('cat-')) {
-            category = await Category.findOne({ categoryId: id }).select('-__v -createdAt -updatedAt');
-        } else if (isValidObjectId(id)) {
-            // Else if it's a valid MongoDB ObjectId, find by _id
-            category = await Category.findById(id).select('-__v -createdAt -updatedAt');
-        }
+        // find by ObjectId, custom categoryId or slug
+        // (__v is kept, it is the version clients send back in If-Match)
+        const category = await Category.findOne(categoryConditions(id)).select('-createdAt -updatedAt');
 
         if (!category) {
+            // an old slug keeps resolving to the category it used to belong to
+            const moved = !isObjectIdOrHexString(id) && await Category.findBySlugRedirect(id);
+            if (moved) {
+                return res.redirect(301, `${req.baseUrl}/${moved.slug}`);
+            }
             return res.status(404).json({
                 status: 0,
                 message: 'Category not found',
             });
         }
 
+        res.set('ETag', etagFor(category));
+
         return res.json({
             status: 1,
             message: 'Success',
@@ -86,14 +240,26 @@ const getCategoryById = async (req, res) => {
  * @param {Object} req - The request object.
  * @param {Object} req.body - The body of the request containing category details.
  * @param {string} req.body.categoryName - The name of the category.
+ * @param {string} [req.body.slug] - The URL slug, generated from the name if omitted (optional).
+ * @param {string} [req.body.parent] - The ObjectId of the category to nest it under (optional).
+ * @param {Object} [req.body.podcast] - Podcast settings (title, description, image, author, ownerName, ownerEmail,
+ * itunesCategory, explicit) for the category's podcast feed (optional).
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the created category data or an error message.
- * @throws {Error} Returns a 400 status if validation fails, or a 500 status for server errors.
+ * @throws {Error} Returns a 400 status if validation fails or the parent does not exist, or a 500 status for server errors.
  */
 const createCategory = async (req, res) => {
     try {
-        const { categoryName } = req.body;
-        const newCategory = await Category.create({ categoryName });
+        const { categoryName, slug, parent = null, podcast = null } = req.body;
+        const error = await parentError(null, parent);
+        if (error) {
+            return res.status(400).json({
+                status: 0,
+                message: error
+            });
+        }
+
+        const newCategory = await Category.create({ categoryName, slug, parent, podcast });
 
         res.status(201).json({
             status: 1,
@@ -120,60 +286,296 @@ const createCategory = async (req, res) => {
  * @param {string} req.params.id - The ID of the category to update.
  * @param {Object} req.body - The body of the request containing updated category details.
  * @param {string} [req.body.categoryName] - The updated name of the category (optional).
+ * @param {string} [req.body.slug] - The updated URL slug (optional).
+ * @param {string|null} [req.body.parent] - The ObjectId of the new parent category, null to move it to the top level (optional).
+ * @param {Object|null} [req.body.podcast] - The podcast settings, replaced as a whole, null to remove them (optional).
+ * @param {number} [req.body.version] - The version the change is based on, checked like If-Match (optional).
  * @param {Object} res - The response object.
  * @returns {Promise<void>} Sends a JSON response with the updated category data or an error message.
- * @throws {Error} Returns a 404 status if the category is not found, a 400 status if validation fails, or a 500 status for server errors.
+ * @throws {Error} Returns a 404 status if the category is not found, a 412 status for a stale If-Match,
+ * a 409 status if the category changed since the given version, a 400 status if validation fails or the parent would create a cycle, or a 500 status for server errors.
  */
 const updateCategoryById = async (req, res) => {
 
     try {
-        const { id } = req.params;
-        const { categoryName } = req.body;
-
-        let updatedCategory = null;
-
-        // If id starts with 'cat-', update by categoryId
-        if (id.startsWith('cat-')) {
-            updatedCategory = await Category.findOneAndUpdate(
-                { categoryId: id },
-                { categoryName },
-                { new: true, runValidators: true }
-            ).select('-__v -createdAt -updatedAt');
-        } else if (isValidObjectId(id)) {
-            // Else if it's a valid MongoDB ObjectId, update by _id
-            updatedCategory = await Category.findByIdAndUpdate(
-                id,
-                { categoryName },
-                { new: true, runValidators: true }
-            ).select('-__v -createdAt -updatedAt');
+        return await saveCategoryChanges(req, res, pickFields(req.body, EDITABLE_FIELDS));
+    } catch (err) {
+        console.error('Error updating category:', err);
+        return res.status(400).json({
+            status: 0,
+            message: 'Validation failed',
+            error: err.message,
+        });
+    }
+}
+
+/**
+ * Partially updates a category: only the fields present in the body are changed.
+ * Send the ETag from a previous read in `If-Match` (or its `__v` as `version` in the body)
+ * to get a 412 (or 409) instead of overwriting someone else's changes.
+ *
+ * @async
+ * @function patchCategoryById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the category to update.
+ * @param {Object} req.body - The fields to change (categoryName, slug, parent, podcast).
+ * @param {number} [req.body.version] - The version the change is based on (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated category and its new ETag header.
+ * @throws {Error} Returns a 400 status if no field is given or validation fails, a 404 status if the category is not found,
+ * a 412 status for a stale If-Match, a 409 status if the category changed since the given version, or a 500 status for server errors.
+ */
+const patchCategoryById = async (req, res) => {
+    try {
+        // patchCategoryValidation makes sure at least one field is present
+        return await saveCategoryChanges(req, res, pickFields(req.body, EDITABLE_FIELDS));
+    } catch (err) {
+        console.error('Error updating category:', err);
+        return res.status(400).json({
+            status: 0,
+            message: 'Validation failed',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Moves a category to the trash, applying a policy to the articles still filed under it.
+ *
+ * @async
+ * @function deleteCategoryById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the category to delete.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.onArticles="block"] - "block", "reassign" or "cascade" (see utils/articleReferences.js).
+ * @param {string} [req.query.reassignTo] - The ID of the category to move the articles to, required for "reassign".
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted category and the number of affected articles.
+ * @throws {Error} Returns a 400 status for an invalid policy or reassign target, a 404 status if the category is not found,
+ * a 409 status if the category still has articles and the policy is "block", or a 500 status for server errors.
+ */
+const deleteCategoryById = async (req, res) => {
+    try {
+        const { onArticles = 'block', reassignTo } = req.query;
+        if (!ON_ARTICLES_POLICIES.includes(onArticles)) {
+            return res.status(400).json({
+                status: 0,
+                message: `onArticles must be one of ${ON_ARTICLES_POLICIES.join(', ')}`,
+            });
         }
 
-        if (!updatedCategory) {
+        const conditions = categoryConditions(req.params.id);
+        const category = await Category.findOne(conditions);
+        if (!category) {
             return res.status(404).json({
                 status: 0,
                 message: 'Category not found',
             });
         }
 
+        let target = null;
+        if (onArticles === 'reassign') {
+            const targetConditions = reassignTo && categoryConditions(reassignTo);
+            target = targetConditions && await Category.findOne(targetConditions);
+            if (!target || target._id.equals(category._id)) {
+                return res.status(400).json({
+                    status: 0,
+                    message: 'A different, existing category is required in reassignTo',
+                });
+            }
+        }
+
+        const deletedAt = new Date();
+        const { articleCount, blocked } = await applyArticlePolicy({
+            field: 'category',
+            id: category._id,
+            onArticles,
+            reassignTo: target?._id,
+            deletedAt,
+            userId: req.user.id,
+        });
+        if (blocked) {
+            return res.status(409).json({
+                status: 0,
+                message: `Category still has ${articleCount} articles; reassign or cascade them`,
+                data: { articleCount },
+            });
+        }
+
+        await category.softDelete(req.user.id, deletedAt);
+
         return res.json({
             status: 1,
-            message: 'Category updated successfully',
-            data: updatedCategory,
+            message: 'Category moved to trash',
+            data: { category, onArticles, articleCount },
         });
     } catch (err) {
-        console.error('Error updating category:', err);
-        return res.status(400).json({
+        console.error('Error deleting category:', err);
+        return res.status(500).json({
             status: 0,
-            message: 'Validation failed',
+            message: 'Server error',
             error: err.message,
         });
     }
-}
+};
+
+/**
+ * Retrieves the categories in the trash, most recently deleted first.
+ *
+ * @async
+ * @function getDeletedCategories
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of categories per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the trashed categories.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getDeletedCategories = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, cursor } = req.query;
+        const { items: categories, pageInfo } = await paginate(Category, { deletedAt: { $ne: null } }, {
+            sortField: 'deletedAt',
+            page,
+            limit,
+            cursor,
+            select: '-__v',
+        });
+
+        return res.json({
+            status: 1,
+            message: 'success',
+            data: { categories, ...pageInfo },
+        });
+    } catch (err) {
+        console.error('Error fetching deleted categories:', err);
+        return res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Restores a category from the trash, optionally with the articles cascaded along with it.
+ *
+ * @async
+ * @function restoreCategoryById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the category to restore.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.cascade] - "true" to also restore the articles trashed together with the category.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the restored category.
+ * @throws {Error} Returns a 404 status if the category is not in the trash, a 409 status if its name has been
+ * taken in the meantime, or a 500 status for server errors.
+ */
+const restoreCategoryById = async (req, res) => {
+    try {
+        const conditions = categoryConditions(req.params.id);
+        const category = await Category.findOne({ ...conditions, deletedAt: { $ne: null } });
+        if (!category) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Category not found in trash',
+            });
+        }
+
+        const deletedAt = category.deletedAt;
+        await category.restore();
+        const restoredArticles = req.query.cascade === 'true'
+            ? await restoreCascadedArticles('category', category._id, deletedAt)
+            : 0;
+
+        return res.json({
+            status: 1,
+            message: 'Category restored',
+            data: { category, restoredArticles },
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                status: 0,
+                message: 'Another category already uses this name',
+            });
+        }
+        console.error('Error restoring category:', err);
+        return res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Permanently deletes a category from the trash. Refused while any article, trashed or not, still references it.
+ * Its subcategories are moved up to its own parent.
+ *
+ * @async
+ * @function purgeCategoryById
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ID of the category to purge.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the purge.
+ * @throws {Error} Returns a 404 status if the category is not in the trash, a 409 status if articles still
+ * reference it, or a 500 status for server errors.
+ */
+const purgeCategoryById = async (req, res) => {
+    try {
+        const conditions = categoryConditions(req.params.id);
+        const category = await Category.findOne({ ...conditions, deletedAt: { $ne: null } });
+        if (!category) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Category not found in trash',
+            });
+        }
+
+        const articleCount = await countAllArticleReferences('category', category._id);
+        if (articleCount > 0) {
+            return res.status(409).json({
+                status: 0,
+                message: `Category is still referenced by ${articleCount} articles`,
+                data: { articleCount },
+            });
+        }
+
+        // subcategories move up a level instead of pointing at a category that no longer exists
+        await Category.updateMany({ parent: category._id }, { parent: category.parent }).withDeleted();
+        await Category.deleteOne({ _id: category._id });
+
+        return res.json({
+            status: 1,
+            message: 'Category permanently deleted',
+        });
+    } catch (err) {
+        console.error('Error purging category:', err);
+        return res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
 
 // exporting the functions to be used in routes
 module.exports = {
     getCategories,
+    getCategoryTree,
     getCategoryById,
     createCategory,
-    updateCategoryById
+    updateCategoryById,
+    patchCategoryById,
+    deleteCategoryById,
+    getDeletedCategories,
+    restoreCategoryById,
+    purgeCategoryById
 };
\ No newline at end of file
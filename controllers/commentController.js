@@ -0,0 +1,349 @@
+// import the comment model and the models it refers to
+const mongoose = require('mongoose');
+const Comment = require('../models/commentModel');
+const Article = require('../models/articleModel');
+const User = require('../models/userModel');
+const { visibleFilter } = require('../utils/articleWorkflow');
+const { CMS_ROLES, EDITOR_ROLES } = require('../utils/roles');
+const { bannedWordsIn } = require('../utils/moderation');
+const { paginate } = require('../utils/pagination');
+
+// readers can post at most this many comments per window; CMS users are not limited
+const COMMENT_RATE_LIMIT = 5;
+const COMMENT_RATE_WINDOW_MS = 10 * 60 * 1000;
+
+// the article a comment route is about, if the user may see it
+const findVisibleArticle = (id, user) => {
+    const visibility = visibleFilter(user);
+    const byId = mongoose.isObjectIdOrHexString(id);
+    return Article.findOne({ ...visibility, ...(byId ? { _id: id } : { slug: String(id).toLowerCase() }) }).select('_id');
+};
+
+// public shape of a comment, readers only see the commenter's name
+const formatComment = (comment) => ({
+    _id: comment._id,
+    body: comment.body,
+    user: comment.user ? { _id: comment.user._id, name: comment.user.name } : null,
+    parent: comment.parent,
+    createdAt: comment.createdAt
+});
+
+// create a get route for the comments of an article
+/**
+ * Retrieves the approved comments of an article, newest first, each with its approved replies
+ * oldest first.
+ *
+ * @async
+ * @function getComments
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of top level comments per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the comments, the `commentCount` of the article
+ * (replies included) and the pagination metadata of the top level comments.
+ * @throws {Error} Returns a 404 status if the article is not found, or a 500 status for server errors.
+ */
+const getComments = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, cursor } = req.query;
+        const article = await findVisibleArticle(req.params.id, req.user);
+        if (!article) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Article not found'
+            });
+        }
+
+        const { items: comments, pageInfo } = await paginate(Comment, { article: article._id, parent: null, status: 'approved' }, {
+            page,
+            limit,
+            cursor,
+            populate: [['user', 'name']]
+        });
+        const [replies, counts] = await Promise.all([
+            Comment.find({ parent: { $in: comments.map(comment => comment._id) }, status: 'approved' })
+                .sort({ _id: 1 })
+                .populate('user', 'name'),
+            Comment.countsFor([article._id])
+        ]);
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                comments: comments.map(comment => ({
+                    ...formatComment(comment),
+                    replies: replies.filter(reply => reply.parent.equals(comment._id)).map(formatComment)
+                })),
+                commentCount: counts.get(String(article._id)) || 0,
+                ...pageInfo
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching comments:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a post route to comment on an article
+/**
+ * Posts a comment or a reply on an article. Readers need a verified email address, can post a limited
+ * number of comments per 10 minutes, and their comments wait in the moderation queue; comments of CMS
+ * users are published right away. Comments containing banned words are refused.
+ *
+ * @async
+ * @function createComment
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.body - The text of the comment.
+ * @param {string} [req.body.parent] - The ID of the comment to reply to; replies to a reply join its thread (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the created comment and its status.
+ * @throws {Error} Returns a 400 status for banned words or an unknown parent, a 403 status if the email address
+ * isn't verified, a 404 status if the article is not found, a 429 status with Retry-After when posting too often,
+ * or a 500 status for server errors.
+ */
+const createComment = async (req, res) => {
+    try {
+        const { body, parent } = req.body;
+        const article = await findVisibleArticle(req.params.id, req.user);
+        if (!article) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Article not found'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('name emailVerified');
+        if (!user) {
+            return res.status(401).json({
+                status: 0,
+                message: 'User not found'
+            });
+        }
+        const trusted = CMS_ROLES.includes(req.user.role);
+        if (!trusted && !user.emailVerified) {
+            return res.status(403).json({
+                status: 0,
+                message: 'Please verify your email address before commenting'
+            });
+        }
+
+        if (!trusted) {
+            const since = new Date(Date.now() - COMMENT_RATE_WINDOW_MS);
+            const recent = await Comment.find({ user: user._id, createdAt: { $gte: since } })
+                .sort({ createdAt: 1 })
+                .select('createdAt');
+            if (recent.length >= COMMENT_RATE_LIMIT) {
+                const retryAfter = Math.ceil((recent[0].createdAt.getTime() + COMMENT_RATE_WINDOW_MS - Date.now()) / 1000);
+                res.set('Retry-After', String(Math.max(retryAfter, 1)));
+                return res.status(429).json({
+                    status: 0,
+                    message: 'You are commenting too fast, please wait a few minutes'
+                });
+            }
+        }
+
+        if (bannedWordsIn(body).length > 0) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Your comment contains words that are not allowed'
+            });
+        }
+
+        let thread = null;
+        if (parent) {
+            const parentComment = await Comment.findOne({ _id: parent, article: article._id, status: { $in: ['pending', 'approved'] } });
+            if (!parentComment) {
+                return res.status(400).json({
+                    status: 0,
+                    message: 'The comment you are replying to does not exist'
+                });
+            }
+            // replies are one level deep, a reply to a reply joins the same thread
+            thread = parentComment.parent || parentComment._id;
+        }
+
+        const comment = await Comment.create({
+            article: article._id,
+            user: user._id,
+            parent: thread,
+            body,
+            status: trusted ? 'approved' : 'pending'
+        });
+
+        res.status(201).json({
+            status: 1,
+            message: comment.status === 'approved' ? 'Comment posted' : 'Comment submitted for moderation',
+            data: { ...formatComment({ ...comment.toObject(), user }), status: comment.status }
+        });
+    } catch (err) {
+        console.error('Error creating comment:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the moderation queue
+/**
+ * Lists comments by moderation status for editors, oldest first so the queue is worked through in order.
+ *
+ * @async
+ * @function getModerationQueue
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {string} [req.query.status="pending"] - "pending", "approved", "spam" or "removed".
+ * @param {string} [req.query.article] - Only the comments of this article (optional).
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of comments per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the comments, their authors and articles, and the pagination metadata.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getModerationQueue = async (req, res) => {
+    try {
+        const { status = 'pending', article, page = 1, limit = 20, cursor } = req.query;
+        const filter = { status };
+        if (article) filter.article = article;
+
+        const { items: comments, pageInfo } = await paginate(Comment, filter, {
+            order: 1,
+            page,
+            limit,
+            cursor,
+            populate: [['user', 'name email'], ['article', 'title slug'], ['moderatedBy', 'name']]
+        });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { comments, status, ...pageInfo }
+        });
+    } catch (err) {
+        console.error('Error fetching moderation queue:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a post route to moderate a comment
+/**
+ * Approves a comment, or marks it as spam or removed, recording who did it and why.
+ *
+ * @async
+ * @function moderateComment
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID of the comment.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.status - "pending", "approved", "spam" or "removed".
+ * @param {string} [req.body.note] - The reason, shown in the queue (optional).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the moderated comment.
+ * @throws {Error} Returns a 404 status if the comment is not found, or a 500 status for server errors.
+ */
+const moderateComment = async (req, res) => {
+    try {
+        const { status, note = '' } = req.body;
+        const comment = await Comment.findByIdAndUpdate(
+            req.params.id,
+            { status, moderationNote: note, moderatedBy: req.user.id, moderatedAt: new Date() },
+            { new: true }
+        );
+        if (!comment) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Comment not found'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'Comment moderated successfully',
+            data: comment
+        });
+    } catch (err) {
+        console.error('Error moderating comment:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a delete route for comments
+/**
+ * Removes a comment. Commenters can remove their own comments, editors any comment. The comment is
+ * kept with the "removed" status so the moderation history stays complete.
+ *
+ * @async
+ * @function deleteComment
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID of the comment.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the removal.
+ * @throws {Error} Returns a 403 status if the comment belongs to someone else, a 404 status if it is not found,
+ * or a 500 status for server errors.
+ */
+const deleteComment = async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id);
+        if (!comment || comment.status === 'removed') {
+            return res.status(404).json({
+                status: 0,
+                message: 'Comment not found'
+            });
+        }
+        if (!comment.user.equals(req.user.id) && !EDITOR_ROLES.includes(req.user.role)) {
+            return res.status(403).json({
+                status: 0,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+
+        comment.status = 'removed';
+        comment.moderatedBy = req.user.id;
+        comment.moderatedAt = new Date();
+        await comment.save();
+
+        res.json({
+            status: 1,
+            message: 'Comment removed successfully'
+        });
+    } catch (err) {
+        console.error('Error removing comment:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    getComments,
+    createComment,
+    getModerationQueue,
+    moderateComment,
+    deleteComment
+};
@@ -0,0 +1,303 @@
+// import the models the feeds are built from
+const mongoose = require('mongoose');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Tag = require('../models/tagModel');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { contributedByFilter } = require('../utils/contributors');
+const { renderHtml } = require('../utils/blocks');
+const { mimeTypeOf } = require('../utils/media');
+const { escapeHtml } = require('../utils/text');
+const { xmlElement, xmlText, cdata, xmlDocument } = require('../utils/xml');
+const { siteUrl, siteName, siteLanguage, articleUrl, categoryUrl, authorUrl, tagUrl } = require('../utils/site');
+
+// number of articles in a feed, newest first
+const FEED_SIZE = 50;
+
+// how long feed readers and proxies may cache a feed, in seconds
+const FEED_MAX_AGE = 15 * 60;
+
+// conditions finding a category or author by ObjectId, short id or slug
+const lookupConditions = (id, shortIdField) => (
+    mongoose.isObjectIdOrHexString(id)
+        ? { _id: id }
+        : { $or: [{ [shortIdField]: id }, { slug: String(id).toLowerCase() }] }
+);
+
+/**
+ * Works out which articles a feed holds and how the feed describes itself.
+ * A category feed includes the articles of its subcategories, an author feed everything they contributed to.
+ *
+ * @async
+ * @function feedScope
+ * @param {string} scope - "site", "category", "author" or "tag".
+ * @param {string} [id] - The category, author or tag, as accepted by the matching listing.
+ * @returns {Promise<{filter: Object, title: string, description: string, link: string, podcast: Object}|null>}
+ * The article filter, the channel details and the podcast settings (from the category, or the name and image
+ * of the author), or null if the category, author or tag doesn't exist.
+ */
+const feedScope = async (scope, id) => {
+    const name = siteName();
+    switch (scope) {
+        case 'category': {
+            const category = await Category.findOne(lookupConditions(id, 'categoryId'));
+            if (!category) return null;
+            const ids = [category._id, ...await Category.descendantIds(category._id)];
+            return {
+                filter: { category: { $in: ids } },
+                title: `${category.categoryName} - ${name}`,
+                description: `The latest ${category.categoryName} articles from ${name}`,
+                link: categoryUrl(category),
+                podcast: category.podcast ? category.podcast.toObject() : {}
+            };
+        }
+        case 'author': {
+            const author = await Author.findOne(lookupConditions(id, 'authorId'));
+            if (!author) return null;
+            return {
+                filter: contributedByFilter([author._id]),
+                title: `${author.authorName} - ${name}`,
+                description: author.description || `The latest articles by ${author.authorName} on ${name}`,
+                link: authorUrl(author),
+                podcast: { author: author.authorName, image: author.authorImage || null }
+            };
+        }
+        case 'tag': {
+            const tag = await Tag.findByIdOrName(id);
+            if (!tag) return null;
+            return {
+                filter: { tags: tag.name },
+                title: `${tag.name} - ${name}`,
+                description: `The latest articles tagged ${tag.name} on ${name}`,
+                link: tagUrl(tag),
+                podcast: {}
+            };
+        }
+        default:
+            return {
+                filter: {},
+                title: name,
+                description: `The latest articles from ${name}`,
+                link: siteUrl('/'),
+                podcast: {}
+            };
+    }
+};
+
+// the audio or video file of an article, with its stored size and type, else those of the uploaded asset
+const enclosureOf = (article) => {
+    if (!['audio', 'video'].includes(article.articleType) || !article.mediaUrl) return null;
+    const asset = article.mediaAsset?.url === article.mediaUrl ? article.mediaAsset : null;
+    return {
+        url: article.mediaUrl,
+        type: article.mediaType || asset?.mimeType || mimeTypeOf(article.mediaUrl, article.articleType),
+        length: article.mediaSize || asset?.size || 0
+    };
+};
+
+// full HTML content of an article: its body, or the description while it has none
+const contentOf = (article) => (article.body && article.body.length > 0
+    ? renderHtml(article.body)
+    : article.description ? `<p>${escapeHtml(article.description)}</p>` : '');
+
+// RSS 2.0 with the content and Dublin Core extensions
+const renderRss = (feed) => xmlDocument(xmlElement('rss', {
+    version: '2.0',
+    'xmlns:atom': 'http://www.w3.org/2005/Atom',
+    'xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+    'xmlns:dc': 'http://purl.org/dc/elements/1.1/'
+}, xmlElement('channel', {}, [
+    xmlText('title', feed.title),
+    xmlText('link', feed.link),
+    xmlText('description', feed.description),
+    xmlText('language', siteLanguage()),
+    xmlText('lastBuildDate', feed.updated.toUTCString()),
+    xmlElement('atom:link', { href: feed.url, rel: 'self', type: 'application/rss+xml' }),
+    ...feed.articles.map((article) => {
+        const enclosure = enclosureOf(article);
+        return xmlElement('item', {}, [
+            xmlText('title', article.title),
+            xmlText('link', articleUrl(article)),
+            xmlText('guid', String(article._id), { isPermaLink: 'false' }),
+            xmlText('pubDate', article.publishDate.toUTCString()),
+            xmlText('dc:creator', article.author?.authorName),
+            xmlText('category', article.category?.categoryName),
+            ...(article.tags || []).map(tag => xmlText('category', tag)),
+            xmlText('description', article.subtitle || article.description),
+            contentOf(article) && xmlElement('content:encoded', {}, cdata(contentOf(article))),
+            enclosure && xmlElement('enclosure', enclosure)
+        ]);
+    })
+])));
+
+// Atom 1.0
+const renderAtom = (feed) => xmlDocument(xmlElement('feed', { xmlns: 'http://www.w3.org/2005/Atom', 'xml:lang': siteLanguage() }, [
+    xmlText('title', feed.title),
+    xmlText('subtitle', feed.description),
+    xmlText('id', feed.url),
+    xmlElement('link', { rel: 'self', type: 'application/atom+xml', href: feed.url }),
+    xmlElement('link', { rel: 'alternate', type: 'text/html', href: feed.link }),
+    xmlText('updated', feed.updated.toISOString()),
+    ...feed.articles.map((article) => {
+        const enclosure = enclosureOf(article);
+        return xmlElement('entry', {}, [
+            xmlText('title', article.title),
+            xmlText('id', siteUrl(`/articles/${article._id}`)),
+            xmlElement('link', { rel: 'alternate', type: 'text/html', href: articleUrl(article) }),
+            enclosure && xmlElement('link', { rel: 'enclosure', href: enclosure.url, type: enclosure.type, length: enclosure.length }),
+            xmlText('published', article.publishDate.toISOString()),
+            xmlText('updated', article.updatedAt.toISOString()),
+            article.author && xmlElement('author', {}, [
+                xmlText('name', article.author.authorName),
+                xmlText('uri', authorUrl(article.author))
+            ]),
+            article.category && xmlElement('category', { term: article.category.categoryName }),
+            ...(article.tags || []).map(tag => xmlElement('category', { term: tag })),
+            xmlText('summary', article.subtitle || article.description),
+            xmlText('content', contentOf(article), { type: 'html' })
+        ]);
+    })
+]));
+
+// JSON Feed 1.1
+const renderJsonFeed = (feed) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: feed.url,
+    description: feed.description,
+    language: siteLanguage(),
+    items: feed.articles.map((article) => {
+        const enclosure = enclosureOf(article);
+        return {
+            id: String(article._id),
+            url: articleUrl(article),
+            title: article.title,
+            summary: article.subtitle || article.description || undefined,
+            content_html: contentOf(article),
+            image: article.articleImage,
+            date_published: article.publishDate.toISOString(),
+            date_modified: article.updatedAt.toISOString(),
+            authors: article.author
+                ? [{ name: article.author.authorName, url: authorUrl(article.author), avatar: article.author.authorImage || undefined }]
+                : [],
+            tags: [article.category?.categoryName, ...(article.tags || [])].filter(Boolean),
+            attachments: enclosure ? [{ url: enclosure.url, mime_type: enclosure.type, size_in_bytes: enclosure.length || undefined }] : undefined
+        };
+    })
+});
+
+// podcast RSS with the Apple Podcasts (iTunes) tags, one episode per audio article
+const renderPodcast = (feed) => {
+    const { podcast } = feed;
+    const author = podcast.author || siteName();
+    return xmlDocument(xmlElement('rss', {
+        version: '2.0',
+        'xmlns:atom': 'http://www.w3.org/2005/Atom',
+        'xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+        'xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd'
+    }, xmlElement('channel', {}, [
+        xmlText('title', podcast.title || feed.title),
+        xmlText('link', feed.link),
+        xmlText('description', podcast.description || feed.description),
+        xmlText('language', siteLanguage()),
+        xmlText('lastBuildDate', feed.updated.toUTCString()),
+        xmlElement('atom:link', { href: feed.url, rel: 'self', type: 'application/rss+xml' }),
+        xmlText('itunes:author', author),
+        xmlText('itunes:summary', podcast.description || feed.description),
+        podcast.image && xmlElement('itunes:image', { href: podcast.image }),
+        podcast.image && xmlElement('image', {}, [
+            xmlText('url', podcast.image),
+            xmlText('title', podcast.title || feed.title),
+            xmlText('link', feed.link)
+        ]),
+        xmlElement('itunes:category', { text: podcast.itunesCategory || 'News' }),
+        xmlText('itunes:explicit', podcast.explicit ? 'true' : 'false'),
+        (podcast.ownerName || podcast.ownerEmail) && xmlElement('itunes:owner', {}, [
+            xmlText('itunes:name', podcast.ownerName || author),
+            xmlText('itunes:email', podcast.ownerEmail)
+        ]),
+        xmlText('itunes:type', 'episodic'),
+        ...feed.articles.map((article) => {
+            const enclosure = enclosureOf(article);
+            return xmlElement('item', {}, [
+                xmlText('title', article.title),
+                xmlText('link', articleUrl(article)),
+                xmlText('guid', String(article._id), { isPermaLink: 'false' }),
+                xmlText('pubDate', article.publishDate.toUTCString()),
+                xmlText('description', article.subtitle || article.description),
+                contentOf(article) && xmlElement('content:encoded', {}, cdata(contentOf(article))),
+                xmlElement('enclosure', enclosure),
+                xmlText('itunes:duration', article.mediaDuration),
+                xmlText('itunes:author', article.author?.authorName || author),
+                article.articleImage && xmlElement('itunes:image', { href: article.articleImage }),
+                xmlText('itunes:episodeType', 'full')
+            ]);
+        })
+    ])));
+};
+
+// how each format is rendered and served, and which articles it takes
+const FEED_FORMATS = {
+    rss: { render: renderRss, contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { render: renderAtom, contentType: 'application/atom+xml; charset=utf-8' },
+    json: { render: renderJsonFeed, contentType: 'application/feed+json; charset=utf-8' },
+    podcast: { render: renderPodcast, contentType: 'application/rss+xml; charset=utf-8', filter: { articleType: 'audio', mediaUrl: { $nin: [null, ''] } } }
+};
+
+// create a get route for each feed
+/**
+ * Builds a route handler serving the latest published articles as a feed, for the whole site or
+ * for one category, author or tag. Audio and video articles carry their media as an enclosure.
+ * Feeds can be cached for 15 minutes and carry a Last-Modified date, so unchanged feeds are
+ * answered with 304 Not Modified. The podcast format only takes audio articles with their media.
+ *
+ * @function getFeed
+ * @param {string} format - "rss", "atom", "json" or "podcast".
+ * @param {string} [scope="site"] - "site", "category", "author" or "tag".
+ * @returns {Function} An async route handler. For scoped feeds it reads the category, author or tag
+ * from `req.params.id` and returns a 404 status if it doesn't exist, or a 500 status for server errors.
+ */
+const getFeed = (format, scope = 'site') => async (req, res) => {
+    try {
+        const channel = await feedScope(scope, req.params.id);
+        if (!channel) {
+            return res.status(404).json({
+                status: 0,
+                message: `${scope.charAt(0).toUpperCase()}${scope.slice(1)} not found`
+            });
+        }
+
+        const articles = await Article.find({ ...publishedFilter(), ...channel.filter, ...FEED_FORMATS[format].filter })
+            .sort({ publishDate: -1, _id: -1 })
+            .limit(FEED_SIZE)
+            .populate('author', 'authorName slug authorImage')
+            .populate('category', 'categoryName slug')
+            .populate('mediaAsset', 'url mimeType size');
+
+        const updated = articles.reduce((latest, article) => (article.updatedAt > latest ? article.updatedAt : latest), new Date(0));
+        const feed = {
+            ...channel,
+            url: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+            updated: articles.length > 0 ? updated : new Date(),
+            articles
+        };
+
+        res.set('Cache-Control', `public, max-age=${FEED_MAX_AGE}`);
+        if (articles.length > 0) res.set('Last-Modified', updated.toUTCString());
+        res.type(FEED_FORMATS[format].contentType).send(FEED_FORMATS[format].render(feed));
+    } catch (err) {
+        console.error('Error building feed:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    getFeed
+};
@@ -0,0 +1,436 @@
+// import the models of the reader features
+const mongoose = require('mongoose');
+const Article = require('../models/articleModel');
+const Author = require('../models/authorModel');
+const Category = require('../models/categoryModel');
+const Bookmark = require('../models/bookmarkModel');
+const ReadingHistory = require('../models/readingHistoryModel');
+const Follow = require('../models/followModel');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { paginate } = require('../utils/pagination');
+const { SUMMARY_FIELDS, SUMMARY_POPULATE, summarizeArticles } = require('../utils/articleSummary');
+const { contributedByFilter } = require('../utils/contributors');
+
+// what can be followed, by the name used in the URL
+const FOLLOW_TARGETS = {
+    authors: { type: 'author', model: Author, shortId: 'authorId', fields: 'authorId authorName slug authorImage' },
+    categories: { type: 'category', model: Category, shortId: 'categoryId', fields: 'categoryId categoryName slug' }
+};
+
+// conditions finding an author or category by ObjectId, short id or slug
+const lookupConditions = (id, shortIdField) => (
+    mongoose.isObjectIdOrHexString(id)
+        ? { _id: id }
+        : { $or: [{ [shortIdField]: id }, { slug: String(id).toLowerCase() }] }
+);
+
+// populate options loading the article of a bookmark or history entry, only while it is published
+const publishedArticle = () => ({
+    path: 'article',
+    select: SUMMARY_FIELDS,
+    match: publishedFilter(),
+    populate: SUMMARY_POPULATE
+});
+
+// summaries of the articles of bookmarks or history entries, with fields of the entry added;
+// entries whose article is no longer published are left out
+const withSummaries = async (entries, extra) => {
+    const visible = entries.filter(entry => entry.article);
+    const summaries = await summarizeArticles(visible.map(entry => entry.article));
+    return visible.map((entry, i) => ({ ...summaries[i], ...extra(entry) }));
+};
+
+// create a get route for the bookmarks of the user
+/**
+ * Retrieves the articles the user bookmarked, most recent bookmark first.
+ *
+ * @async
+ * @function getBookmarks
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of bookmarks per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape, each with its
+ * `bookmarkedAt`, and the pagination metadata. Articles that were unpublished since are left out.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getBookmarks = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, cursor } = req.query;
+        const { items, pageInfo } = await paginate(Bookmark, { user: req.user.id }, {
+            page,
+            limit,
+            cursor,
+            populate: [publishedArticle()]
+        });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles: await withSummaries(items, bookmark => ({ bookmarkedAt: bookmark.createdAt })),
+                ...pageInfo
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching bookmarks:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a put route to bookmark an article
+/**
+ * Bookmarks a published article. Bookmarking it again changes nothing.
+ *
+ * @async
+ * @function addBookmark
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a 201 JSON response for a new bookmark, 200 if it already existed.
+ * @throws {Error} Returns a 404 status if the article is not published, or a 500 status for server errors.
+ */
+const addBookmark = async (req, res) => {
+    try {
+        const article = await Article.exists({ ...publishedFilter(), _id: req.params.id });
+        if (!article) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Article not found'
+            });
+        }
+
+        const result = await Bookmark.updateOne(
+            { user: req.user.id, article: article._id },
+            { $setOnInsert: { user: req.user.id, article: article._id } },
+            { upsert: true }
+        );
+        const created = result.upsertedCount > 0;
+
+        res.status(created ? 201 : 200).json({
+            status: 1,
+            message: created ? 'Article bookmarked' : 'Article already bookmarked'
+        });
+    } catch (err) {
+        console.error('Error adding bookmark:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a delete route to remove a bookmark
+/**
+ * Removes the bookmark of an article.
+ *
+ * @async
+ * @function removeBookmark
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID of the article.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming the removal.
+ * @throws {Error} Returns a 404 status if the article wasn't bookmarked, or a 500 status for server errors.
+ */
+const removeBookmark = async (req, res) => {
+    try {
+        const result = await Bookmark.deleteOne({ user: req.user.id, article: req.params.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Bookmark not found'
+            });
+        }
+        res.json({
+            status: 1,
+            message: 'Bookmark removed'
+        });
+    } catch (err) {
+        console.error('Error removing bookmark:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the reading history of the user
+/**
+ * Retrieves the articles the user read, most recently read first. Reads are recorded by `getArticleById`
+ * and the view beacon.
+ *
+ * @async
+ * @function getHistory
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape, each with its
+ * `lastReadAt` and `readCount`, and the pagination metadata.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getHistory = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, cursor } = req.query;
+        const { items, pageInfo } = await paginate(ReadingHistory, { user: req.user.id }, {
+            sortField: 'lastReadAt',
+            page,
+            limit,
+            cursor,
+            populate: [publishedArticle()]
+        });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles: await withSummaries(items, entry => ({ lastReadAt: entry.lastReadAt, readCount: entry.readCount })),
+                ...pageInfo
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching reading history:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a delete route to clear the reading history
+/**
+ * Clears the reading history of the user.
+ *
+ * @async
+ * @function clearHistory
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the number of entries removed.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const clearHistory = async (req, res) => {
+    try {
+        const result = await ReadingHistory.deleteMany({ user: req.user.id });
+        res.json({
+            status: 1,
+            message: 'Reading history cleared',
+            data: { deletedCount: result.deletedCount }
+        });
+    } catch (err) {
+        console.error('Error clearing reading history:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the authors and categories the user follows
+/**
+ * Retrieves the authors and categories the user follows.
+ *
+ * @async
+ * @function getFollows
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the followed `authors` and `categories`.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getFollows = async (req, res) => {
+    try {
+        const follows = await Follow.find({ user: req.user.id }).sort({ _id: -1 });
+        const data = {};
+        for (const [name, { type, model, fields }] of Object.entries(FOLLOW_TARGETS)) {
+            const ids = follows.filter(follow => follow.targetType === type).map(follow => follow.target);
+            data[name] = await model.find({ _id: { $in: ids } }).select(fields);
+        }
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data
+        });
+    } catch (err) {
+        console.error('Error fetching follows:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a put route to follow an author or category
+/**
+ * Follows an author or a category. Following it again changes nothing.
+ *
+ * @async
+ * @function follow
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.type - "authors" or "categories".
+ * @param {string} req.params.id - The ObjectId, short id or slug of the author or category.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a 201 JSON response for a new follow, 200 if it already existed.
+ * @throws {Error} Returns a 404 status if the author or category is not found, or a 500 status for server errors.
+ */
+const follow = async (req, res) => {
+    try {
+        const { type, model, shortId } = FOLLOW_TARGETS[req.params.type];
+        const target = await model.findOne(lookupConditions(req.params.id, shortId)).select('_id');
+        if (!target) {
+            return res.status(404).json({
+                status: 0,
+                message: `${type === 'author' ? 'Author' : 'Category'} not found`
+            });
+        }
+
+        const result = await Follow.updateOne(
+            { user: req.user.id, targetType: type, target: target._id },
+            { $setOnInsert: { user: req.user.id, targetType: type, target: target._id } },
+            { upsert: true }
+        );
+        const created = result.upsertedCount > 0;
+
+        res.status(created ? 201 : 200).json({
+            status: 1,
+            message: created ? `Now following this ${type}` : `Already following this ${type}`
+        });
+    } catch (err) {
+        console.error('Error following:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a delete route to unfollow an author or category
+/**
+ * Stops following an author or a category.
+ *
+ * @async
+ * @function unfollow
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.type - "authors" or "categories".
+ * @param {string} req.params.id - The ObjectId, short id or slug of the author or category.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response confirming it.
+ * @throws {Error} Returns a 404 status if the user wasn't following it, or a 500 status for server errors.
+ */
+const unfollow = async (req, res) => {
+    try {
+        const { type, model, shortId } = FOLLOW_TARGETS[req.params.type];
+        // the target may be in the trash by now, so it is still looked up there
+        const target = await model.findOne(lookupConditions(req.params.id, shortId)).select('_id').withDeleted();
+        const result = target
+            ? await Follow.deleteOne({ user: req.user.id, targetType: type, target: target._id })
+            : { deletedCount: 0 };
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                status: 0,
+                message: `Not following this ${type}`
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: `Stopped following this ${type}`
+        });
+    } catch (err) {
+        console.error('Error unfollowing:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the personalized feed
+/**
+ * Retrieves the published articles of the authors and categories the user follows, newest first.
+ * Following an author includes the articles they contributed to, following a category its subcategories.
+ *
+ * @async
+ * @function getFeed
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters from the request.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=10] - The number of articles per page (default is 10).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the articles in the `getArticles` shape and the pagination
+ * metadata; the list is empty while the user follows nothing.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getFeed = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, cursor } = req.query;
+        const follows = await Follow.find({ user: req.user.id });
+        const authorIds = follows.filter(f => f.targetType === 'author').map(f => f.target);
+        const followedCategories = follows.filter(f => f.targetType === 'category').map(f => f.target);
+        const categoryIds = [
+            ...followedCategories,
+            ...(await Promise.all(followedCategories.map(id => Category.descendantIds(id)))).flat()
+        ];
+
+        const { items: articles, pageInfo } = await paginate(Article, {
+            ...publishedFilter(),
+            $or: [...contributedByFilter(authorIds).$or, { category: { $in: categoryIds } }]
+        }, {
+            sortField: 'publishDate',
+            page,
+            limit,
+            cursor,
+            select: SUMMARY_FIELDS,
+            populate: SUMMARY_POPULATE
+        });
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: {
+                articles: await summarizeArticles(articles),
+                following: { authors: authorIds.length, categories: followedCategories.length },
+                ...pageInfo
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching feed:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    getBookmarks,
+    addBookmark,
+    removeBookmark,
+    getHistory,
+    clearHistory,
+    getFollows,
+    follow,
+    unfollow,
+    getFeed
+};
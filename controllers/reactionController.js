@@ -0,0 +1,142 @@
+// import the reaction model and the article it counts for
+const mongoose = require('mongoose');
+const Reaction = require('../models/reactionModel');
+const Article = require('../models/articleModel');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { reactionTotals } = require('../utils/reactions');
+
+// the published article a reader reacts to
+const findPublishedArticle = (id) => {
+    const byId = mongoose.isObjectIdOrHexString(id);
+    return Article.findOne({ ...publishedFilter(), ...(byId ? { _id: id } : { slug: String(id).toLowerCase() }) }).select('_id');
+};
+
+// applies count changes to an article without touching its version or updatedAt, editors keep their ETags
+const adjustCounts = async (articleId, changes) => {
+    const $inc = Object.fromEntries(Object.entries(changes).map(([type, by]) => [`reactionCounts.${type}`, by]));
+    const article = Object.keys($inc).length > 0
+        ? await Article.findByIdAndUpdate(articleId, { $inc }, { new: true, timestamps: false }).select('reactionCounts')
+        : await Article.findById(articleId).select('reactionCounts');
+    return reactionTotals(article?.reactionCounts);
+};
+
+// create a post route to react to an article
+/**
+ * Toggles the reaction of the user on a published article. Sending the reaction the user already left
+ * removes it, sending another one replaces it; a user has at most one reaction per article.
+ *
+ * @async
+ * @function toggleReaction
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.type - The reaction, see REACTION_TYPES in utils/reactions.js.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the user's `reaction` (null once removed) and the
+ * `reactionCounts` of the article.
+ * @throws {Error} Returns a 404 status if the article is not published, a 409 status if the same user changed the
+ * reaction at the same time, or a 500 status for server errors.
+ */
+const toggleReaction = async (req, res) => {
+    try {
+        const { type } = req.body;
+        const article = await findPublishedArticle(req.params.id);
+        if (!article) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Article not found'
+            });
+        }
+
+        const mine = { article: article._id, user: req.user.id };
+        const existing = await Reaction.findOne(mine);
+        let reaction;
+        let changes;
+        if (!existing) {
+            await Reaction.create({ ...mine, type });
+            reaction = type;
+            changes = { [type]: 1 };
+        } else if (existing.type === type) {
+            // the conditions on the current type make a concurrent change fail instead of counting twice
+            const removed = await Reaction.findOneAndDelete({ _id: existing._id, type });
+            reaction = null;
+            changes = removed ? { [type]: -1 } : null;
+        } else {
+            const replaced = await Reaction.findOneAndUpdate({ _id: existing._id, type: existing.type }, { type });
+            reaction = type;
+            changes = replaced ? { [existing.type]: -1, [type]: 1 } : null;
+        }
+        if (!changes) {
+            return res.status(409).json({
+                status: 0,
+                message: 'Your reaction was changed meanwhile, please try again'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: reaction ? 'Reaction saved' : 'Reaction removed',
+            data: { reaction, reactionCounts: await adjustCounts(article._id, changes) }
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                status: 0,
+                message: 'Your reaction was changed meanwhile, please try again'
+            });
+        }
+        console.error('Error saving reaction:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a delete route to remove a reaction
+/**
+ * Removes the reaction of the user from an article, whatever it was.
+ *
+ * @async
+ * @function removeReaction
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.id - The ID or slug of the article.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the `reactionCounts` of the article.
+ * @throws {Error} Returns a 404 status if the article is not published or the user didn't react to it,
+ * or a 500 status for server errors.
+ */
+const removeReaction = async (req, res) => {
+    try {
+        const article = await findPublishedArticle(req.params.id);
+        const removed = article && await Reaction.findOneAndDelete({ article: article._id, user: req.user.id });
+        if (!removed) {
+            return res.status(404).json({
+                status: 0,
+                message: article ? 'Reaction not found' : 'Article not found'
+            });
+        }
+
+        res.json({
+            status: 1,
+            message: 'Reaction removed',
+            data: { reaction: null, reactionCounts: await adjustCounts(article._id, { [removed.type]: -1 }) }
+        });
+    } catch (err) {
+        console.error('Error removing reaction:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    toggleReaction,
+    removeReaction
+};
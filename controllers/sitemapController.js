@@ -0,0 +1,220 @@
+// import the models whose pages are listed in the sitemaps
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { xmlElement, xmlText, xmlDocument } = require('../utils/xml');
+const { siteName, siteLanguage, articleUrl, categoryUrl, authorUrl } = require('../utils/site');
+
+// search engines read at most 50,000 URLs per sitemap
+const SITEMAP_LIMIT = 50000;
+
+// Google News only wants articles from the last two days, at most 1,000 of them
+const NEWS_WINDOW_HOURS = 48;
+const NEWS_LIMIT = 1000;
+
+// how long search engines and proxies may cache a sitemap, in seconds
+const SITEMAP_MAX_AGE = 60 * 60;
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+// the pages listed in the sitemaps: which documents and how to link them
+const SECTIONS = {
+    articles: { model: Article, filter: () => publishedFilter(), select: 'slug updatedAt', url: articleUrl },
+    categories: { model: Category, filter: () => ({}), select: 'slug updatedAt', url: categoryUrl },
+    authors: { model: Author, filter: () => ({}), select: 'slug updatedAt', url: authorUrl }
+};
+
+// the number of URLs and the newest change of each section
+const sectionStats = async () => Object.fromEntries(await Promise.all(
+    Object.entries(SECTIONS).map(async ([name, section]) => {
+        const [count, newest] = await Promise.all([
+            section.model.countDocuments(section.filter()),
+            section.model.findOne(section.filter()).sort({ updatedAt: -1 }).select('updatedAt').lean()
+        ]);
+        return [name, { count, lastmod: newest?.updatedAt || null }];
+    })
+));
+
+// the <url> entries of one page of a section, oldest documents first so pages stay stable
+const sectionUrls = async (name, page = 1) => {
+    const section = SECTIONS[name];
+    const docs = await section.model.find(section.filter())
+        .sort({ _id: 1 })
+        .skip((page - 1) * SITEMAP_LIMIT)
+        .limit(SITEMAP_LIMIT)
+        .select(section.select)
+        .lean();
+    return docs.map(doc => xmlElement('url', {}, [
+        xmlText('loc', section.url(doc)),
+        doc.updatedAt && xmlText('lastmod', doc.updatedAt.toISOString())
+    ]));
+};
+
+// send an XML sitemap with caching headers, a Last-Modified date lets unchanged sitemaps get a 304
+const sendSitemap = (res, xml, lastmod) => {
+    res.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    if (lastmod) res.set('Last-Modified', lastmod.toUTCString());
+    res.type('application/xml; charset=utf-8').send(xml);
+};
+
+// the newest of several dates, ignoring missing ones
+const newestOf = (dates) => dates.filter(Boolean).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+// create a get route for the main sitemap
+/**
+ * Serves `/sitemap.xml`: the published articles, categories and author pages with their `lastmod`.
+ * Once there are more than 50,000 URLs it becomes a sitemap index pointing to numbered sitemaps
+ * per section and to the Google News sitemap.
+ *
+ * @async
+ * @function getSitemap
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends the sitemap or sitemap index as XML.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getSitemap = async (req, res) => {
+    try {
+        const stats = await sectionStats();
+        const total = Object.values(stats).reduce((sum, { count }) => sum + count, 0);
+        const lastmod = newestOf(Object.values(stats).map(stat => stat.lastmod));
+
+        if (total <= SITEMAP_LIMIT) {
+            const urls = (await Promise.all(Object.keys(SECTIONS).map(name => sectionUrls(name)))).flat();
+            return sendSitemap(res, xmlDocument(xmlElement('urlset', { xmlns: SITEMAP_NS }, urls)), lastmod);
+        }
+
+        const base = `${req.protocol}://${req.get('host')}`;
+        const sitemaps = Object.entries(stats).flatMap(([name, { count, lastmod: sectionLastmod }]) => (
+            Array.from({ length: Math.ceil(count / SITEMAP_LIMIT) }, (_, i) => xmlElement('sitemap', {}, [
+                xmlText('loc', `${base}/sitemaps/${name}-${i + 1}.xml`),
+                sectionLastmod && xmlText('lastmod', sectionLastmod.toISOString())
+            ]))
+        ));
+        sitemaps.push(xmlElement('sitemap', {}, xmlText('loc', `${base}/sitemaps/news.xml`)));
+
+        sendSitemap(res, xmlDocument(xmlElement('sitemapindex', { xmlns: SITEMAP_NS }, sitemaps)), lastmod);
+    } catch (err) {
+        console.error('Error building sitemap:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the numbered sitemaps of the index
+/**
+ * Serves one numbered sitemap of the sitemap index, e.g. `/sitemaps/articles-2.xml`.
+ *
+ * @async
+ * @function getSectionSitemap
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The parameters from the request.
+ * @param {string} req.params.section - "articles", "categories" or "authors".
+ * @param {number} req.params.page - The number of the sitemap, from 1.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends the sitemap as XML.
+ * @throws {Error} Returns a 404 status if the sitemap doesn't exist, or a 500 status for server errors.
+ */
+const getSectionSitemap = async (req, res) => {
+    try {
+        const { section, page } = req.params;
+        const urls = await sectionUrls(section, page);
+        if (urls.length === 0 && page > 1) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Sitemap not found'
+            });
+        }
+        sendSitemap(res, xmlDocument(xmlElement('urlset', { xmlns: SITEMAP_NS }, urls)));
+    } catch (err) {
+        console.error('Error building sitemap:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for the Google News sitemap
+/**
+ * Serves `/sitemaps/news.xml`, the Google News sitemap of the articles published in the last 48 hours.
+ *
+ * @async
+ * @function getNewsSitemap
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends the news sitemap as XML.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getNewsSitemap = async (req, res) => {
+    try {
+        const since = new Date(Date.now() - NEWS_WINDOW_HOURS * 60 * 60 * 1000);
+        const published = publishedFilter();
+        const articles = await Article.find({ ...published, publishDate: { ...published.publishDate, $gte: since } })
+            .sort({ publishDate: -1 })
+            .limit(NEWS_LIMIT)
+            .select('title slug publishDate updatedAt')
+            .lean();
+
+        const urls = articles.map(article => xmlElement('url', {}, [
+            xmlText('loc', articleUrl(article)),
+            xmlElement('news:news', {}, [
+                xmlElement('news:publication', {}, [
+                    xmlText('news:name', siteName()),
+                    xmlText('news:language', siteLanguage())
+                ]),
+                xmlText('news:publication_date', article.publishDate.toISOString()),
+                xmlText('news:title', article.title)
+            ])
+        ]));
+
+        const xml = xmlDocument(xmlElement('urlset', {
+            xmlns: SITEMAP_NS,
+            'xmlns:news': 'http://www.google.com/schemas/sitemap-news/0.9'
+        }, urls));
+        sendSitemap(res, xml, newestOf(articles.map(article => article.updatedAt)));
+    } catch (err) {
+        console.error('Error building news sitemap:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message
+        });
+    }
+};
+
+// create a get route for robots.txt
+/**
+ * Serves `/robots.txt`, pointing crawlers at the main sitemap and the Google News sitemap.
+ * The news sitemap is listed here because the main sitemap only links to it once it becomes an index.
+ *
+ * @function getRobots
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void} Sends robots.txt as plain text.
+ */
+const getRobots = (req, res) => {
+    const base = `${req.protocol}://${req.get('host')}`;
+    res.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    res.type('text/plain; charset=utf-8').send([
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${base}/sitemap.xml`,
+        `Sitemap: ${base}/sitemaps/news.xml`,
+        ''
+    ].join('\n'));
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    getSitemap,
+    getSectionSitemap,
+    getNewsSitemap,
+    getRobots
+};
@@ -0,0 +1,266 @@
+// import tag and article models
+const Tag = require('../models/tagModel');
+const Article = require('../models/articleModel');
+const { countArticlesBy } = require('../utils/articleReferences');
+const { publishedFilter } = require('../utils/articleWorkflow');
+const { paginate, sortOptions } = require('../utils/pagination');
+const { escapeRegExp } = require('../utils/text');
+const { CMS_ROLES } = require('../utils/roles');
+
+// sort keys accepted by the listing; _id follows creation order
+const SORT_FIELDS = { name: 'key', createdAt: '_id' };
+
+// number of weight steps in the tag cloud, 1 for the least used tag
+const CLOUD_WEIGHTS = 5;
+
+// the articles whose tags are counted: CMS users count every article, everyone else published ones
+const countedArticles = (req) => (req.user && CMS_ROLES.includes(req.user.role) ? {} : publishedFilter());
+
+/**
+ * Retrieves the tags a page at a time with their article counts. With `q` only the tags
+ * whose key starts with it are returned, for autocomplete.
+ *
+ * @async
+ * @function getTags
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.q] - The start of the tag, in any spelling.
+ * @param {string} [req.query.sort="name"] - "name" or "createdAt", prefixed with "-" for descending.
+ * @param {number} [req.query.page=1] - The page number for pagination (default is 1).
+ * @param {number} [req.query.limit=20] - The number of tags per page (default is 20).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; takes precedence over page.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the page of tags (each with `articleCount`) and the pagination metadata.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getTags = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, cursor, q, sort = 'name' } = req.query;
+        const prefix = q && Tag.keyOf(q);
+        const filter = prefix ? { key: new RegExp(`^${escapeRegExp(prefix)}`) } : {};
+
+        const { items, pageInfo } = await paginate(Tag, filter, {
+            ...sortOptions(sort, SORT_FIELDS),
+            page,
+            limit,
+            cursor,
+            select: 'name key',
+        });
+
+        const counts = await countArticlesBy('tags', items.map(tag => tag.name), countedArticles(req));
+        const tags = items.map(tag => ({ ...tag.toObject(), articleCount: counts.get(tag.name) || 0 }));
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { tags, q: q || null, sort, ...pageInfo },
+        });
+    } catch (err) {
+        console.error('Error fetching tags:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Retrieves the most used tags of published articles for a tag cloud. Each tag gets a
+ * `weight` from 1 (least used of the list) to 5 (most used).
+ *
+ * @async
+ * @function getPopularTags
+ * @param {Object} req - The request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {number} [req.query.limit=30] - The number of tags to return (default is 30).
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the tags, most used first.
+ * @throws {Error} Returns a 500 status if a server error occurs.
+ */
+const getPopularTags = async (req, res) => {
+    try {
+        const { limit = 30 } = req.query;
+
+        const counts = await Article.aggregate([
+            { $match: publishedFilter() },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', articleCount: { $sum: 1 } } },
+            { $sort: { articleCount: -1, _id: 1 } },
+            { $limit: limit },
+        ]);
+
+        const tagDocs = await Tag.find({ name: { $in: counts.map(({ _id }) => _id) } }).select('name key');
+        const byName = new Map(tagDocs.map(tag => [tag.name, tag]));
+
+        const max = counts[0]?.articleCount || 0;
+        const min = counts[counts.length - 1]?.articleCount || 0;
+        const weightOf = (count) => (max === min
+            ? CLOUD_WEIGHTS
+            : 1 + Math.round(((count - min) / (max - min)) * (CLOUD_WEIGHTS - 1)));
+
+        const tags = counts.map(({ _id: name, articleCount }) => ({
+            _id: byName.get(name)?._id || null,
+            name,
+            key: byName.get(name)?.key || Tag.keyOf(name),
+            articleCount,
+            weight: weightOf(articleCount),
+        }));
+
+        res.json({
+            status: 1,
+            message: 'success',
+            data: { tags },
+        });
+    } catch (err) {
+        console.error('Error fetching popular tags:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Renames a tag and rewrites it in every article using it, trashed ones included.
+ * The old key stays an alias, so the old spelling keeps resolving to the tag.
+ *
+ * @async
+ * @function renameTag
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ObjectId, key or name of the tag.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.name - The new name.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the renamed tag and the number of articles rewritten.
+ * @throws {Error} Returns a 400 status if the name is unusable, a 404 status if the tag is not found,
+ * a 409 status if another tag already has that name, or a 500 status for server errors.
+ */
+const renameTag = async (req, res) => {
+    try {
+        const tag = await Tag.findByIdOrName(req.params.id);
+        if (!tag) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Tag not found',
+            });
+        }
+
+        const name = req.body.name.trim();
+        const key = Tag.keyOf(name);
+        if (!key) {
+            return res.status(400).json({
+                status: 0,
+                message: 'Tag name must contain letters or numbers',
+            });
+        }
+
+        const existing = await Tag.findOne({ _id: { $ne: tag._id }, $or: [{ key }, { aliases: key }] });
+        if (existing) {
+            return res.status(409).json({
+                status: 0,
+                message: `Tag "${existing.name}" already exists, merge the tags instead`,
+                data: { tag: existing },
+            });
+        }
+
+        const oldName = tag.name;
+        if (key !== tag.key) {
+            tag.aliases = [...tag.aliases.filter(alias => alias !== key), tag.key];
+            tag.key = key;
+        }
+        tag.name = name;
+        await tag.save();
+
+        // bump the version so ETags of the rewritten articles change too
+        const result = await Article.updateMany(
+            { tags: oldName },
+            { $set: { 'tags.$[tag]': name }, $inc: { __v: 1 } },
+            { arrayFilters: [{ tag: oldName }] }
+        ).withDeleted();
+
+        res.json({
+            status: 1,
+            message: 'Tag renamed successfully',
+            data: { tag, articleCount: result.modifiedCount },
+        });
+    } catch (err) {
+        console.error('Error renaming tag:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Merges a tag into another one: every article tagged with it gets the target tag instead
+ * (once), the tag is deleted and its key and aliases become aliases of the target.
+ *
+ * @async
+ * @function mergeTag
+ * @param {Object} req - The request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - The ObjectId, key or name of the tag to merge away.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.into - The ObjectId, key or name of the tag to keep.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} Sends a JSON response with the kept tag and the number of articles rewritten.
+ * @throws {Error} Returns a 400 status if both are the same tag, a 404 status if either tag is not found,
+ * or a 500 status for server errors.
+ */
+const mergeTag = async (req, res) => {
+    try {
+        const [source, target] = await Promise.all([
+            Tag.findByIdOrName(req.params.id),
+            Tag.findByIdOrName(req.body.into),
+        ]);
+        if (!source || !target) {
+            return res.status(404).json({
+                status: 0,
+                message: 'Tag not found',
+            });
+        }
+        if (source._id.equals(target._id)) {
+            return res.status(400).json({
+                status: 0,
+                message: 'A tag cannot be merged into itself',
+            });
+        }
+
+        // add the target first, then drop the source; $addToSet keeps articles that had both from a duplicate
+        const result = await Article.updateMany(
+            { tags: source.name },
+            { $addToSet: { tags: target.name }, $inc: { __v: 1 } }
+        ).withDeleted();
+        await Article.updateMany({ tags: source.name }, { $pull: { tags: source.name } }).withDeleted();
+
+        await Tag.deleteOne({ _id: source._id });
+        target.aliases = [...new Set([...target.aliases, source.key, ...source.aliases])];
+        await target.save();
+
+        res.json({
+            status: 1,
+            message: 'Tags merged successfully',
+            data: { tag: target, articleCount: result.matchedCount },
+        });
+    } catch (err) {
+        console.error('Error merging tags:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error',
+            error: err.message,
+        });
+    }
+};
+
+// exporting the functions to be used in routes
+module.exports = {
+    getTags,
+    getPopularTags,
+    renameTag,
+    mergeTag,
+};
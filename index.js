@@ -8,10 +8,17 @@ const dotenv = require('dotenv');
 const authorRoutes = require('./routes/authorRoutes');
 const articleRoutes = require('./routes/articleRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const assetRoutes = require('./routes/assetRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const meRoutes = require('./routes/meRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const sitemapRoutes = require('./routes/sitemapRoutes');
 const authRoutes = require('./routes/auth');
 
 // import db connection
 const connectDB = require('./utils/db');
+const { uploadDir } = require('./utils/storage');
 
 const app = express();
 dotenv.config();
@@ -43,6 +50,19 @@ if (process.env.NODE_ENV !== 'test') {
 app.use('/api/authors', authorRoutes);  // Author routes
 app.use('/api/articles', articleRoutes); // Article routes  
 app.use('/api/categories', categoryRoutes); // Category routes
+app.use('/api/tags', tagRoutes); // Tag routes
+app.use('/api/assets', assetRoutes); // Asset library routes
+app.use('/api/comments', commentRoutes); // Comment moderation routes
+app.use('/api/me', meRoutes); // Bookmarks, reading history, follows and feed of the signed in reader
+app.use('/feeds', feedRoutes); // RSS, Atom and JSON feeds
+app.use('/', sitemapRoutes); // robots.txt, sitemap.xml and the sitemaps it points to
+
+// files uploaded with the local storage driver; browsers must use the served type and never guess another
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+    app.use('/uploads', express.static(uploadDir(), {
+        setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+    }));
+}
 app.use('/api/auth', authRoutes); // Auth routes
 
 
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Article = require('../models/articleModel');
+const { EDITOR_ROLES } = require('../utils/roles');
+
+/**
+ * Allows the request through only if the authenticated user has one of the given roles.
+ * Must be used after `verifyToken`.
+ *
+ * @function authorize
+ * @param {...string} roles - The roles allowed to access the route.
+ * @returns {Function} Express middleware sending 401 if unauthenticated or 403 if the role is not allowed.
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            status: 0,
+            message: 'No token provided'
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            status: 0,
+            message: 'You do not have permission to perform this action'
+        });
+    }
+    next();
+};
+
+/**
+ * Restricts users with the author role to articles linked to their own Author record.
+ * Editors and admins pass through untouched. The `author` in the body, or the first "author" of the
+ * `contributors` when no author is given, must be their own, and for existing articles the article
+ * identified by `req.params.id` is loaded and its author compared.
+ * Must be used after `verifyToken`.
+ *
+ * @async
+ * @function authorizeArticleAuthor
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {Promise<void>} Calls next if allowed, or sends a 403 status.
+ */
+const authorizeArticleAuthor = async (req, res, next) => {
+    try {
+        if (EDITOR_ROLES.includes(req.user.role)) return next();
+
+        const ownAuthor = req.user.author ? String(req.user.author) : null;
+        if (!ownAuthor) {
+            return res.status(403).json({
+                status: 0,
+                message: 'Your account is not linked to an author'
+            });
+        }
+
+        // the author being assigned in the body must always be the user's own
+        if (req.body?.author && String(req.body.author) !== ownAuthor) {
+            return res.status(403).json({
+                status: 0,
+                message: 'You can only manage your own articles'
+            });
+        }
+
+        // nor can a new byline without an author make someone else the primary author
+        const lead = !req.body?.author && req.body?.contributors?.find(contributor => contributor.role === 'author');
+        if (lead && String(lead.author) !== ownAuthor) {
+            return res.status(403).json({
+                status: 0,
+                message: 'You can only manage your own articles'
+            });
+        }
+
+        // existing article: let the controller handle invalid ids and 404s
+        if (req.params.id && mongoose.isValidObjectId(req.params.id)) {
+            const article = await Article.findById(req.params.id).select('author');
+            if (article && String(article.author) !== ownAuthor) {
+                return res.status(403).json({
+                    status: 0,
+                    message: 'You can only manage your own articles'
+                });
+            }
+        }
+
+        next();
+    } catch (err) {
+        console.error('Authorization error:', err);
+        res.status(500).json({
+            status: 0,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    authorize,
+    authorizeArticleAuthor
+};
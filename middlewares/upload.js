@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { MAX_UPLOAD_SIZE, MEDIA_RULES, MEDIA_KINDS, kindOf } = require('../utils/media');
+
+// uploads are received into a temporary file and moved to storage by the controller
+const receiver = multer({
+    dest: path.join(os.tmpdir(), 'cms-uploads'),
+    limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (kindOf(file.mimetype)) return callback(null, true);
+        const accepted = MEDIA_KINDS.flatMap(kind => MEDIA_RULES[kind].mimeTypes).join(', ');
+        const error = new Error(`Unsupported file type ${file.mimetype}, accepted types are ${accepted}`);
+        error.status = 415;
+        callback(error);
+    }
+});
+
+/**
+ * Receives a single multipart file into `req.file` and turns upload errors into JSON responses:
+ * 415 for an unsupported file type, 413 for a file over the largest size limit and 400 otherwise.
+ * The per-kind size limits are checked by the controller once the kind is known. The temporary
+ * file is removed once the response is sent, whatever the outcome.
+ *
+ * @function uploadSingle
+ * @param {string} field - The name of the multipart field holding the file.
+ * @returns {Function} Express middleware.
+ */
+const uploadSingle = (field) => (req, res, next) => {
+    receiver.single(field)(req, res, (err) => {
+        if (req.file) {
+            res.on('close', () => fs.promises.rm(req.file.path, { force: true }).catch(() => {}));
+        }
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                status: 0,
+                message: err.message
+            });
+        }
+        res.status(err.status || 400).json({
+            status: 0,
+            message: err.message
+        });
+    });
+};
+
+module.exports = {
+    uploadSingle
+};
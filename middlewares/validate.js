@@ -1,12 +1,48 @@
+const Joi = require('joi');
+
+// request parts that can be validated, in the order errors are reported
+const SOURCES = ['params', 'query', 'body'];
+
+/**
+ * Validates the request against Joi schemas and replaces each validated part with the
+ * converted value (so numbers in the query string arrive as numbers).
+ *
+ * Pass a single schema to validate the body, or an object with `params`, `query` and/or
+ * `body` schemas. Every error is reported, not just the first one.
+ *
+ * @function validate
+ * @param {Joi.Schema|{params?: Joi.Schema, query?: Joi.Schema, body?: Joi.Schema}} schema - The schema(s) to validate with.
+ * @returns {Function} Express middleware sending a 400 status with `errors` listing each problem.
+ */
 const validate = (schema) => (req, res, next) => {
-    const { error } = schema.validate(req.body);
-    if (error) {
+    const schemas = Joi.isSchema(schema) ? { body: schema } : schema;
+    const errors = [];
+
+    for (const source of SOURCES) {
+        if (!schemas[source]) continue;
+
+        const { error, value } = schemas[source].validate(req[source] ?? {}, { abortEarly: false });
+        if (error) {
+            errors.push(...error.details.map(detail => ({
+                location: source,
+                field: detail.path.join('.'),
+                message: detail.message
+            })));
+            continue;
+        }
+
+        // req.query is a getter in Express 5, so it has to be redefined rather than assigned
+        Object.defineProperty(req, source, { value, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (errors.length > 0) {
         return res.status(400).json({
             status: 0,
-            message: error.details[0].message
+            message: errors.map(error => error.message).join('; '),
+            errors
         });
     }
     next();
 };
 
-module.exports = validate;
\ No newline at end of file
+module.exports = validate;
@@ -0,0 +1,20 @@
+const Article = require('../models/articleModel');
+
+// Articles saved before the publishing workflow have no status; they were all public, so they become
+// published with the publish date they had (or their creation date), and keep showing on the site.
+module.exports = {
+    name: '001-article-status',
+    up: async () => {
+        // the raw collection, so soft delete and casting leave the old documents alone
+        const result = await Article.collection.updateMany(
+            { status: { $exists: false } },
+            [{
+                $set: {
+                    status: 'published',
+                    publishDate: { $ifNull: ['$publishDate', { $ifNull: ['$createdAt', '$$NOW'] }] }
+                }
+            }]
+        );
+        return `${result.modifiedCount} articles marked as published`;
+    }
+};
@@ -0,0 +1,14 @@
+const Category = require('../models/categoryModel');
+
+// Category names used to be unique across every category, trash included. That index is replaced
+// by one that only covers the categories outside the trash, so a trashed category's name can be reused.
+module.exports = {
+    name: '002-category-name-index',
+    up: async () => {
+        const indexes = await Category.collection.indexes().catch(() => []);
+        const dropped = indexes.some(index => index.name === 'categoryName_1');
+        if (dropped) await Category.collection.dropIndex('categoryName_1');
+        await Category.createIndexes();
+        return dropped ? 'categoryName_1 replaced by categoryName_active_unique' : 'nothing to do';
+    }
+};
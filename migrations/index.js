@@ -0,0 +1,48 @@
+// Brings an existing database up to date with the current models. Migrations run in order and only
+// touch documents or indexes still in their old shape, so running them again changes nothing.
+//
+// Run them after deploying a new version, before it takes traffic:
+//
+//     npm run migrate
+//
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../utils/db');
+
+const MIGRATIONS = [
+    require('./001-article-status'),
+    require('./002-category-name-index')
+];
+
+/**
+ * Runs every migration in order on the current connection.
+ *
+ * @async
+ * @function runMigrations
+ * @returns {Promise<void>}
+ * @throws {Error} The error of the first migration that fails; the ones after it are not run.
+ */
+const runMigrations = async () => {
+    for (const migration of MIGRATIONS) {
+        const outcome = await migration.up();
+        console.log(`${migration.name}: ${outcome}`);
+    }
+};
+
+if (require.main === module) {
+    dotenv.config();
+    // indexes are built by the migrations that change them, not while the models load
+    mongoose.set('autoIndex', false);
+    connectDB(process.env.MONGODB_URI)
+        .then(runMigrations)
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+    MIGRATIONS,
+    runMigrations
+};
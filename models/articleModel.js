@@ -1,7 +1,16 @@
 const mongoose = require("mongoose");
+const { ARTICLE_STATUSES } = require("../utils/articleWorkflow");
+const softDeletePlugin = require("./plugins/softDelete");
+const slugPlugin = require("./plugins/slug");
+const assetRefPlugin = require("./plugins/assetRef");
+const Tag = require("./tagModel");
+const Asset = require("./assetModel");
+const { sanitizeBlocks } = require("../utils/blocks");
+const { REACTION_TYPES } = require("../utils/reactions");
+const { CONTRIBUTOR_ROLES } = require("../utils/contributors");
 
 // create a schema for the article model with the following fields
-// title, subtitle, articleImage, articleType, description, mediaUrl, category, tags, author, publishDate
+// title, subtitle, articleImage, articleType, description, mediaUrl, category, tags, author, status, publishDate
 const articleSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -22,10 +31,27 @@ const articleSchema = new mongoose.Schema({
     description: {
         type: String,
     },
+    // the article text as typed blocks, see utils/blocks.js
+    body: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+    },
     mediaUrl: {
         type: String
 
     },
+    // details of the media file for podcast and feed enclosures, filled from mediaAsset when there is one
+    mediaDuration: {
+        type: Number,
+        min: 0,
+    },
+    mediaSize: {
+        type: Number,
+        min: 0,
+    },
+    mediaType: {
+        type: String,
+    },
     category: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Category",
@@ -41,10 +67,142 @@ const articleSchema = new mongoose.Schema({
         ref: "Author",
         required: true,
     },
+    // everyone credited on the article in byline order; the primary author is always among them
+    contributors: [
+        {
+            _id: false,
+            author: { type: mongoose.Schema.Types.ObjectId, ref: "Author", required: true },
+            role: { type: String, enum: CONTRIBUTOR_ROLES, default: "author" },
+        },
+    ],
+    // credits taken off the byline when their author was deleted with cascade, put back when the author
+    // is restored with cascade; see utils/articleReferences.js
+    removedCredits: {
+        type: [
+            {
+                _id: false,
+                author: { type: mongoose.Schema.Types.ObjectId, ref: "Author" },
+                role: { type: String, enum: CONTRIBUTOR_ROLES },
+                position: { type: Number },
+                deletedAt: { type: Date },
+            },
+        ],
+        select: false,
+    },
+    // publishing workflow state, see utils/articleWorkflow.js
+    status: {
+        type: String,
+        enum: ARTICLE_STATUSES,
+        default: "draft",
+    },
+    // set when the article is approved or scheduled
     publishDate: {
         type: Date,
-        default: Date.now,
+        default: null,
     },
-}, { timestamps: true });
+    // audit trail of workflow transitions, including reviewer comments on rejection
+    statusHistory: [
+        {
+            from: { type: String, enum: ARTICLE_STATUSES },
+            to: { type: String, enum: ARTICLE_STATUSES },
+            comment: { type: String },
+            by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            at: { type: Date, default: Date.now },
+        },
+    ],
+    // number of reader reactions by type, kept up to date by the reaction routes; a type is only
+    // stored once someone used it, see reactionTotals in utils/reactions.js
+    reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number }])),
+}, { timestamps: true, optimisticConcurrency: true });
+
+// deleted articles go to the trash first
+articleSchema.plugin(softDeletePlugin);
+
+// SEO-friendly URLs generated from the title
+articleSchema.plugin(slugPlugin, { source: "title" });
+
+// images and media can be picked from the asset library instead of pasting URLs
+articleSchema.plugin(assetRefPlugin, { field: "imageAsset", urlField: "articleImage", kinds: ["image"] });
+articleSchema.plugin(assetRefPlugin, {
+    field: "mediaAsset",
+    urlField: "mediaUrl",
+    kinds: (article) => (["audio", "video"].includes(article.articleType) ? [article.articleType] : []),
+    watch: ["articleType"],
+    copy: { size: "mediaSize", mimeType: "mediaType" },
+});
+
+// tags are stored under their canonical name so every spelling of a tag ends up the same
+articleSchema.pre("validate", async function () {
+    if (!this.isModified("tags") || this.tags.length === 0) return;
+    this.tags = await Tag.canonicalize([...this.tags]);
+});
+
+// the primary author and the contributors are kept in step: changing the author replaces the first byline,
+// a new byline order without an author picks the first "author" as the primary author
+articleSchema.pre("validate", function () {
+    if (!this.isModified("author") && !this.isModified("contributors")) return;
+    const idOf = (ref) => String(ref?._id || ref);
+    const contributors = this.contributors.map(({ author, role }) => ({ author, role }));
+    const lead = contributors.findIndex(contributor => contributor.role === "author");
+
+    if (this.isModified("contributors") && !this.isModified("author") && lead !== -1) {
+        this.author = contributors[lead].author;
+    } else if (this.author && !contributors.some(c => c.role === "author" && idOf(c.author) === idOf(this.author))) {
+        if (lead !== -1 && !this.isModified("contributors")) contributors[lead].author = this.author;
+        else contributors.unshift({ author: this.author, role: "author" });
+    }
+
+    // nobody is credited twice in the same role
+    const seen = new Set();
+    this.contributors = contributors.filter(({ author, role }) => {
+        const key = `${idOf(author)}:${role}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+});
+
+// body blocks are sanitized on the way in, and image blocks picked from the library get the asset's URL
+articleSchema.pre("validate", async function () {
+    if (!this.isModified("body")) return;
+    const body = sanitizeBlocks(this.body);
+
+    const assetIds = body.filter(block => block.type === "image" && block.asset).map(block => block.asset);
+    if (assetIds.length > 0) {
+        const assets = await Asset.find({ _id: { $in: assetIds }, kind: "image" }).select("url");
+        const byId = new Map(assets.map(asset => [String(asset._id), asset]));
+        for (const block of body) {
+            if (block.type !== "image" || !block.asset) continue;
+            const asset = byId.get(String(block.asset));
+            if (!asset) {
+                this.invalidate("body", "Image asset not found", block.asset);
+                return;
+            }
+            // kept as an ObjectId so the asset library can find the articles using it
+            block.asset = asset._id;
+            block.url = asset.url;
+        }
+    }
+
+    this.body = body;
+});
+
+// public listings filter on status and sort by publishDate
+articleSchema.index({ status: 1, publishDate: -1 });
+
+// the "most liked" listing
+articleSchema.index({ "reactionCounts.like": -1, _id: -1 });
+
+// author pages list everything someone contributed to
+articleSchema.index({ "contributors.author": 1 });
+
+// tag filters, tag counts and tag renames look articles up by tag
+articleSchema.index({ tags: 1 });
+
+// full-text search, titles weigh the most
+articleSchema.index(
+    { title: "text", subtitle: "text", tags: "text", description: "text" },
+    { name: "article_text_search", weights: { title: 10, subtitle: 5, tags: 5, description: 1 } }
+);
 
 module.exports = mongoose.model("Article", articleSchema);
\ No newline at end of file
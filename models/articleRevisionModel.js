@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { TRANSITIONS } = require("../utils/articleWorkflow");
+
+// article fields that describe workflow or bookkeeping rather than content;
+// they are kept in snapshots but ignored by diffs and never rolled back
+const NON_CONTENT_FIELDS = [
+    "_id",
+    "__v",
+    "createdAt",
+    "updatedAt",
+    "status",
+    "statusHistory",
+    "publishDate",
+    "deletedAt",
+    "deletedBy",
+    "reactionCounts",
+];
+
+// create a schema for article revisions: a numbered, full snapshot of an article after each change
+const articleRevisionSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Article",
+        required: true,
+    },
+    rev: {
+        type: Number,
+        required: true,
+    },
+    // what produced the revision: an edit, a rollback or one of the workflow actions
+    action: {
+        type: String,
+        enum: ["create", "update", "restore", ...Object.keys(TRANSITIONS)],
+        default: "update",
+    },
+    // the revision that was rolled back to, for restore revisions
+    restoredFrom: {
+        type: Number,
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+    },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// revision numbers are unique per article
+articleRevisionSchema.index({ article: 1, rev: -1 }, { unique: true });
+
+/**
+ * Stores the current state of an article as its next revision.
+ * Retries when two saves race for the same revision number.
+ *
+ * @async
+ * @function record
+ * @param {Object} article - The article document, as saved.
+ * @param {Object} [options] - The options.
+ * @param {string} [options.userId] - The ID of the user who made the change.
+ * @param {string} [options.action="update"] - "create", "update" or "restore".
+ * @param {number} [options.restoredFrom] - The revision rolled back to, for restores.
+ * @returns {Promise<Object>} The created revision.
+ */
+articleRevisionSchema.statics.record = async function (article, { userId, action = "update", restoredFrom } = {}) {
+    const snapshot = article.toObject({ depopulate: true, virtuals: false });
+
+    for (let attempt = 0; ; attempt++) {
+        const latest = await this.findOne({ article: article._id }).sort({ rev: -1 }).select("rev");
+        try {
+            return await this.create({
+                article: article._id,
+                rev: (latest?.rev || 0) + 1,
+                action,
+                restoredFrom,
+                snapshot,
+                editedBy: userId || null,
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= 2) throw err;
+        }
+    }
+};
+
+// the part of a snapshot that can be compared and restored
+articleRevisionSchema.statics.contentOf = function (snapshot) {
+    return Object.fromEntries(
+        Object.entries(snapshot || {}).filter(([field]) => !NON_CONTENT_FIELDS.includes(field))
+    );
+};
+
+module.exports = mongoose.model("ArticleRevision", articleRevisionSchema);
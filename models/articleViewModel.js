@@ -0,0 +1,29 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// a counted view of an article, kept for the dedupe window so a visitor reloading the page
+// isn't counted again; the totals live in the rollups of articleViewStatModel.js
+const articleViewSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    // the user ID, or a hash of the IP address and user agent of anonymous visitors
+    visitor: {
+        type: String,
+        required: true
+    },
+    // removed by MongoDB once the dedupe window is over
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: '30m'
+    }
+});
+
+// one view per visitor and article within the window
+articleViewSchema.index({ article: 1, visitor: 1 }, { unique: true });
+
+// export the model
+module.exports = mongoose.model('ArticleView', articleViewSchema);
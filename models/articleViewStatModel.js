@@ -0,0 +1,38 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// the number of views an article got in one hour or one day
+const articleViewStatSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    period: {
+        type: String,
+        enum: ['hour', 'day'],
+        required: true
+    },
+    // the start of the hour or day, in UTC
+    start: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // hourly rollups are only needed for trending and are removed by MongoDB after a while,
+    // daily rollups have no expiry
+    expiresAt: {
+        type: Date
+    }
+});
+
+// one rollup per article and period, rankings read a period over a time window
+articleViewStatSchema.index({ article: 1, period: 1, start: 1 }, { unique: true });
+articleViewStatSchema.index({ period: 1, start: -1 });
+articleViewStatSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// export the model
+module.exports = mongoose.model('ArticleViewStat', articleViewStatSchema);
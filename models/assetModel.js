@@ -0,0 +1,73 @@
+// import mongoose
+const mongoose = require('mongoose');
+const { MEDIA_KINDS } = require('../utils/media');
+
+// a generated size of an image asset
+const variantSchema = new mongoose.Schema({
+    // "thumbnail", "small", "medium" or "large", see IMAGE_SIZES in utils/media.js
+    name: { type: String, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    size: { type: Number }
+}, { _id: false });
+
+// an uploaded image, audio or video file in the asset library
+const assetSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: MEDIA_KINDS,
+        required: true
+    },
+    // the name of the file as uploaded
+    filename: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    // size in bytes
+    size: {
+        type: Number,
+        required: true
+    },
+    // where the storage driver keeps the original, and its public URL
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // the storage driver the files were written with
+    storage: {
+        type: String,
+        required: true
+    },
+    // images only
+    width: { type: Number },
+    height: { type: Number },
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
+    alt: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true, optimisticConcurrency: true });
+
+// the library is browsed by kind, newest first
+assetSchema.index({ kind: 1, _id: -1 });
+
+// export the model
+module.exports = mongoose.model('Asset', assetSchema);
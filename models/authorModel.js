@@ -1,5 +1,8 @@
 // import mongoose
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const slugPlugin = require('./plugins/slug');
+const assetRefPlugin = require('./plugins/assetRef');
 
 // create a schema for the Author model
 const authorSchema = new mongoose.Schema({
@@ -22,6 +25,15 @@ const authorSchema = new mongoose.Schema({
         type: String,
         default: ""
     }
-}, { timestamps: true });
+}, { timestamps: true, optimisticConcurrency: true });
+
+// deleted authors go to the trash first
+authorSchema.plugin(softDeletePlugin);
+
+// SEO-friendly URLs generated from the name
+authorSchema.plugin(slugPlugin, { source: 'authorName' });
+
+// the profile picture can be picked from the asset library
+authorSchema.plugin(assetRefPlugin, { field: 'imageAsset', urlField: 'authorImage', kinds: ['image'] });
 
 module.exports = mongoose.model('Author', authorSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// an article a user saved to read later
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    }
+}, { timestamps: true });
+
+// one bookmark per user and article, listed newest first
+bookmarkSchema.index({ user: 1, article: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, _id: -1 });
+
+// export the model
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
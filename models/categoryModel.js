@@ -1,8 +1,24 @@
 // import mongoose
 const mongoose = require("mongoose");
+const softDeletePlugin = require("./plugins/softDelete");
+const slugPlugin = require("./plugins/slug");
+
+// how the category presents itself in podcast apps, see the podcast feed in controllers/feedController.js
+const podcastSchema = new mongoose.Schema({
+    title: { type: String, trim: true },
+    description: { type: String },
+    // square artwork, podcast apps ask for 1400 to 3000 pixels
+    image: { type: String },
+    author: { type: String, trim: true },
+    ownerName: { type: String, trim: true },
+    ownerEmail: { type: String, trim: true, lowercase: true },
+    // an Apple Podcasts category, e.g. "News" or "Technology"
+    itunesCategory: { type: String, trim: true },
+    explicit: { type: Boolean, default: false },
+}, { _id: false });
 
 // create a schema for the category model with the following fields
-// categoryId, categoryName
+// categoryId, categoryName, parent, podcast
 
 const categorySchema = new mongoose.Schema({
     categoryId: {
@@ -19,10 +35,92 @@ const categorySchema = new mongoose.Schema({
         required: true,
         trim: true,
     },
-}, { timestamps: true });
+    // the category this one is nested under, null for top level categories
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+        default: null,
+        index: true,
+    },
+    // podcast settings, null while the category has no podcast
+    podcast: {
+        type: podcastSchema,
+        default: null,
+    },
+}, { timestamps: true, optimisticConcurrency: true });
+
+// deleted categories go to the trash first
+categorySchema.plugin(softDeletePlugin);
+
+// SEO-friendly URLs generated from the name
+categorySchema.plugin(slugPlugin, { source: "categoryName" });
+
+// index the categoryName field for better search performance,
+// names only have to be unique among categories that are not in the trash;
+// it replaces the categoryName_1 index, see migrations/002-category-name-index.js
+categorySchema.index(
+    { categoryName: 1 },
+    { name: "categoryName_active_unique", unique: true, partialFilterExpression: { deletedAt: { $type: "null" } } }
+);
+
+/**
+ * Collects the ObjectIds of every category nested under the given one, at any depth.
+ * Categories in the trash, and anything below them, are left out.
+ *
+ * @async
+ * @function descendantIds
+ * @param {mongoose.Types.ObjectId|string} id - The ObjectId of the category.
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} The ObjectIds of the subcategories.
+ */
+categorySchema.statics.descendantIds = async function (id) {
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(String(id)) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: "$_id",
+                connectFromField: "_id",
+                connectToField: "parent",
+                as: "descendants",
+                restrictSearchWithMatch: { deletedAt: null },
+            },
+        },
+        { $project: { ids: "$descendants._id" } },
+    ]);
+    return result ? result.ids : [];
+};
+
+/**
+ * Builds the breadcrumb path of a category: its ancestors from the top level down,
+ * followed by the category itself.
+ *
+ * @async
+ * @function breadcrumbs
+ * @param {mongoose.Types.ObjectId|string} id - The ObjectId of the category.
+ * @returns {Promise<Array<{_id: mongoose.Types.ObjectId, categoryId: string, categoryName: string, slug: string}>>}
+ * The path, empty if the category does not exist.
+ */
+categorySchema.statics.breadcrumbs = async function (id) {
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(String(id)) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: "$parent",
+                connectFromField: "parent",
+                connectToField: "_id",
+                as: "ancestors",
+                depthField: "depth",
+                restrictSearchWithMatch: { deletedAt: null },
+            },
+        },
+    ]);
+    if (!result) return [];
 
-// index the categoryName field for better search performance
-categorySchema.index({ categoryName: 1 }, { unique: true });
+    const crumb = ({ _id, categoryId, categoryName, slug }) => ({ _id, categoryId, categoryName, slug });
+    const ancestors = result.ancestors.sort((a, b) => b.depth - a.depth).map(crumb);
+    return [...ancestors, crumb(result)];
+};
 
 // export the model
 module.exports = mongoose.model("Category", categorySchema);
\ No newline at end of file
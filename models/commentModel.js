@@ -0,0 +1,75 @@
+// import mongoose
+const mongoose = require('mongoose');
+const { COMMENT_STATUSES } = require('../utils/moderation');
+
+// a reader comment on an article, or a reply to one
+const commentSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // the top level comment this one replies to; replies are one level deep, null for top level comments
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    // moderation state, see utils/moderation.js
+    status: {
+        type: String,
+        enum: COMMENT_STATUSES,
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    moderatedAt: {
+        type: Date,
+        default: null
+    },
+    // why a moderator approved, rejected or removed the comment, shown in the queue only
+    moderationNote: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true });
+
+// the thread of an article, its replies, the moderation queue and the per-user rate limit
+commentSchema.index({ article: 1, parent: 1, status: 1, _id: -1 });
+commentSchema.index({ status: 1, _id: 1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Counts the approved comments, replies included, of the given articles.
+ *
+ * @async
+ * @function countsFor
+ * @param {Array<mongoose.Types.ObjectId>} articleIds - The ObjectIds of the articles.
+ * @returns {Promise<Map<string, number>>} The number of comments keyed by article ObjectId string;
+ * articles without comments are missing.
+ */
+commentSchema.statics.countsFor = async function (articleIds) {
+    if (articleIds.length === 0) return new Map();
+    const counts = await this.aggregate([
+        { $match: { article: { $in: articleIds }, status: 'approved' } },
+        { $group: { _id: '$article', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// export the model
+module.exports = mongoose.model('Comment', commentSchema);
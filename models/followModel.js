@@ -0,0 +1,27 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// an author or category a user follows, their articles make up the user's feed
+const followSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['author', 'category'],
+        required: true
+    },
+    // the ObjectId of the Author or Category
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, { timestamps: true });
+
+// one follow per user and target
+followSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+
+// export the model
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Asset = require('../assetModel');
+
+/**
+ * Mongoose plugin adding a reference to an asset from the library, kept in sync with the
+ * plain URL field that clients already read (e.g. `imageAsset` fills `articleImage`).
+ *
+ * Whenever the reference is set or one of the `watch` fields changes, the asset is loaded,
+ * its kind checked and its URL copied into `urlField`. A missing asset or a wrong kind fails
+ * validation on the reference field. Clearing the reference leaves the URL as it was.
+ * Other details of the asset can be copied along with `copy` (e.g. its size).
+ *
+ * @function assetRefPlugin
+ * @param {mongoose.Schema} schema - The schema to extend.
+ * @param {Object} options - The options.
+ * @param {string} options.field - The name of the reference field to add.
+ * @param {string} options.urlField - The field receiving the asset's URL.
+ * @param {Array<string>|Function} options.kinds - The allowed asset kinds, or a function of the document returning them.
+ * @param {Array<string>} [options.watch=[]] - Other fields the allowed kinds depend on.
+ * @param {Object<string, string>} [options.copy={}] - Asset fields to copy, mapped to the document fields receiving them.
+ * @returns {void}
+ */
+const assetRefPlugin = (schema, { field, urlField, kinds, watch = [], copy = {} }) => {
+    schema.add({
+        [field]: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Asset',
+            default: null
+        }
+    });
+
+    schema.pre('validate', async function () {
+        if (!this[field]) return;
+        if (!this.isModified(field) && !watch.some(path => this.isModified(path))) return;
+
+        const asset = await Asset.findById(this[field]._id || this[field]).select(['kind', 'url', ...Object.keys(copy)]);
+        if (!asset) {
+            this.invalidate(field, 'Asset not found', this[field]);
+            return;
+        }
+
+        const allowed = typeof kinds === 'function' ? kinds(this) : kinds;
+        if (!allowed.includes(asset.kind)) {
+            const message = allowed.length > 0
+                ? `${field} must be a ${allowed.join(' or ')} asset`
+                : `${field} is not allowed here`;
+            this.invalidate(field, message, this[field]);
+            return;
+        }
+
+        this[urlField] = asset.url;
+        for (const [from, to] of Object.entries(copy)) {
+            if (asset[from] !== undefined) this[to] = asset[from];
+        }
+    });
+};
+
+module.exports = assetRefPlugin;
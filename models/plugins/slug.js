@@ -0,0 +1,86 @@
+const slugify = require('../../utils/slugify');
+const SlugRedirect = require('../slugRedirectModel');
+
+// whether another document already uses the slug; trashed documents keep theirs reserved
+const slugTaken = (doc, slug) => {
+    const query = doc.constructor.exists({ slug, _id: { $ne: doc._id } });
+    return typeof query.withDeleted === 'function' ? query.withDeleted() : query;
+};
+
+/**
+ * Mongoose plugin adding a unique, auto-generated `slug` to a schema.
+ *
+ * The slug is generated from the `source` field when the document is created and whenever that
+ * field changes; a slug set explicitly wins over the generated one. Clashes get a numeric suffix
+ * ("my-title-2"). When the slug of a saved document changes, the old one is stored as a
+ * SlugRedirect so links keep working.
+ *
+ * Generation runs on save only, so updates must go through `doc.save()` rather than `findOneAndUpdate`.
+ *
+ * @function slugPlugin
+ * @param {mongoose.Schema} schema - The schema to extend.
+ * @param {Object} options - The options.
+ * @param {string} options.source - The field the slug is generated from.
+ * @returns {void}
+ */
+const slugPlugin = (schema, { source }) => {
+    schema.add({
+        slug: {
+            type: String,
+            unique: true,
+            sparse: true,
+            trim: true,
+            lowercase: true
+        }
+    });
+
+    // remember the slug as loaded so a change can be turned into a redirect
+    schema.post('init', function () {
+        this.$locals.loadedSlug = this.slug;
+    });
+
+    schema.pre('validate', async function () {
+        const explicit = this.isModified('slug') && this.slug;
+        if (!explicit && this.slug && !this.isModified(source)) return;
+
+        const base = slugify(explicit ? this.slug : this.get(source)) || String(this._id);
+
+        let candidate = base;
+        for (let n = 2; await slugTaken(this, candidate); n++) {
+            candidate = `${base}-${n}`;
+        }
+        this.slug = candidate;
+    });
+
+    schema.post('save', async function () {
+        const model = this.constructor.modelName;
+        const previous = this.$locals.loadedSlug;
+        this.$locals.loadedSlug = this.slug;
+        if (!this.slug || previous === this.slug) return;
+
+        // the new slug is live again, it must not redirect anywhere
+        await SlugRedirect.deleteOne({ model, slug: this.slug });
+        if (previous) {
+            await SlugRedirect.updateOne(
+                { model, slug: previous },
+                { target: this._id },
+                { upsert: true }
+            );
+        }
+    });
+
+    /**
+     * Finds the document an old slug redirects to.
+     *
+     * @async
+     * @function findBySlugRedirect
+     * @param {string} slug - The old slug.
+     * @returns {Promise<Object|null>} The current document, or null if the slug never existed.
+     */
+    schema.statics.findBySlugRedirect = async function (slug) {
+        const redirect = await SlugRedirect.findOne({ model: this.modelName, slug: String(slug).toLowerCase() });
+        return redirect ? this.findById(redirect.target) : null;
+    };
+};
+
+module.exports = slugPlugin;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// query operations that should never see soft-deleted documents
+const FILTERED_QUERIES = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany'
+];
+
+/**
+ * Mongoose plugin adding soft-delete support to a schema.
+ *
+ * Adds `deletedAt`/`deletedBy` fields and hides documents with a `deletedAt` from every read
+ * and update, including aggregations. Queries that mention `deletedAt` themselves (e.g. a trash
+ * listing using `{ deletedAt: { $ne: null } }`) are left alone, and `.withDeleted()` lifts the
+ * filter for a single query.
+ *
+ * @function softDeletePlugin
+ * @param {mongoose.Schema} schema - The schema to extend.
+ * @returns {void}
+ */
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    });
+
+    // include soft-deleted documents in this query
+    schema.query.withDeleted = function () {
+        this._withDeleted = true;
+        return this;
+    };
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this._withDeleted || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const first = pipeline[0];
+
+        // $text and $geoNear must stay the first stage, so merge into a leading $match
+        if (first?.$match) {
+            if (!('deletedAt' in first.$match)) first.$match.deletedAt = null;
+        } else if (first?.$geoNear) {
+            first.$geoNear.query = { ...first.$geoNear.query, deletedAt: null };
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+
+    // Move the document to the trash
+    schema.methods.softDelete = function (userId, deletedAt = new Date()) {
+        this.deletedAt = deletedAt;
+        this.deletedBy = userId || null;
+        return this.save();
+    };
+
+    // Take the document back out of the trash
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save();
+    };
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,28 @@
+// import mongoose
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+// a reader's reaction to an article; the article keeps the counts in reactionCounts
+const reactionSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: REACTION_TYPES,
+        required: true
+    }
+}, { timestamps: true });
+
+// one reaction per user and article
+reactionSchema.index({ article: 1, user: 1 }, { unique: true });
+
+// export the model
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,48 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// an article a user opened, with when they last read it
+const readingHistorySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    lastReadAt: {
+        type: Date,
+        default: Date.now
+    },
+    readCount: {
+        type: Number,
+        default: 1
+    }
+});
+
+// one entry per user and article, listed by the last read
+readingHistorySchema.index({ user: 1, article: 1 }, { unique: true });
+readingHistorySchema.index({ user: 1, lastReadAt: -1 });
+
+/**
+ * Adds a read to the history of a user, moving the article to the top.
+ *
+ * @async
+ * @function record
+ * @param {mongoose.Types.ObjectId|string} userId - The ObjectId of the user.
+ * @param {mongoose.Types.ObjectId} articleId - The ObjectId of the article.
+ * @returns {Promise<void>}
+ */
+readingHistorySchema.statics.record = async function (userId, articleId) {
+    await this.updateOne(
+        { user: userId, article: articleId },
+        { $set: { lastReadAt: new Date() }, $inc: { readCount: 1 } },
+        { upsert: true }
+    );
+};
+
+// export the model
+module.exports = mongoose.model('ReadingHistory', readingHistorySchema);
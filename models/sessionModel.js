@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// a login session for one user on one device, renewed through its refresh token
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    device: {
+        type: String,
+        default: 'unknown',
+        trim: true
+    },
+    ip: {
+        type: String
+    },
+    // sha256 of the current refresh token secret, the token itself is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // hashes of already rotated tokens; presenting one of them again means the token leaked
+    previousTokenHashes: {
+        type: [String],
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String
+    }
+}, { timestamps: true });
+
+// let Mongo clean up sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke every active session of a user, e.g. on "log out all devices" or a password reset
+SessionSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
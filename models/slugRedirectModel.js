@@ -0,0 +1,24 @@
+// import mongoose
+const mongoose = require('mongoose');
+
+// an old slug that still points at a document after its slug changed
+const slugRedirectSchema = new mongoose.Schema({
+    // the model the slug belongs to, e.g. "Article"
+    model: {
+        type: String,
+        required: true
+    },
+    slug: {
+        type: String,
+        required: true
+    },
+    // the document the slug now redirects to; its current slug is looked up when resolving
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, { timestamps: true });
+
+slugRedirectSchema.index({ model: 1, slug: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlugRedirect', slugRedirectSchema);
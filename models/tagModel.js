@@ -0,0 +1,94 @@
+// import mongoose
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// a tag articles can be filed under; articles store the tag's name, the key keeps
+// spellings like "AI", "ai" and "A.I." from becoming separate tags
+const tagSchema = new mongoose.Schema({
+    // how the tag is displayed, the spelling it was first used with unless renamed
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // normalized form of the name, also used in URLs
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // keys of tags merged into this one and keys it had before a rename,
+    // so those spellings keep resolving to it
+    aliases: {
+        type: [String],
+        default: []
+    }
+}, { timestamps: true, optimisticConcurrency: true });
+
+tagSchema.index({ aliases: 1 });
+
+/**
+ * Normalizes a tag name: case, accents and punctuation inside words are ignored,
+ * so "A.I.", "ai" and "AI" share the key "ai" and "Machine Learning" becomes "machine-learning".
+ *
+ * @function keyOf
+ * @param {string} name - The tag as typed.
+ * @returns {string} The key, or an empty string if nothing usable is left.
+ */
+tagSchema.statics.keyOf = function (name) {
+    return slugify(String(name ?? '').replace(/[.'’]/g, ''));
+};
+
+/**
+ * Maps tags as typed to the names of their Tag documents, creating the tags that don't
+ * exist yet. Aliases resolve to the tag they belong to, and tags with the same key are
+ * only kept once, in the order first given.
+ *
+ * @async
+ * @function canonicalize
+ * @param {Array<string>} names - The tags as typed.
+ * @returns {Promise<Array<string>>} The canonical tag names.
+ */
+tagSchema.statics.canonicalize = async function (names) {
+    const byKey = new Map();
+    for (const name of names) {
+        const key = this.keyOf(name);
+        if (key && !byKey.has(key)) byKey.set(key, name.trim());
+    }
+
+    const canonical = [];
+    for (const [key, name] of byKey) {
+        let tag;
+        try {
+            tag = await this.findOne({ aliases: key }) || await this.findOneAndUpdate(
+                { key },
+                { $setOnInsert: { name, key } },
+                { upsert: true, new: true }
+            );
+        } catch (err) {
+            // another request created the same tag at the same moment
+            if (err.code !== 11000) throw err;
+            tag = await this.findOne({ key });
+        }
+        // two spellings can resolve to the same tag through an alias
+        if (!canonical.includes(tag.name)) canonical.push(tag.name);
+    }
+    return canonical;
+};
+
+/**
+ * Finds a tag by its ObjectId, or by anything that normalizes to its key or one of its aliases.
+ *
+ * @async
+ * @function findByIdOrName
+ * @param {string} value - An ObjectId, a key or a tag name in any spelling.
+ * @returns {Promise<Object|null>} The tag, or null if there is no such tag.
+ */
+tagSchema.statics.findByIdOrName = function (value) {
+    if (mongoose.isObjectIdOrHexString(value)) return this.findById(value);
+    const key = this.keyOf(value);
+    return this.findOne({ $or: [{ key }, { aliases: key }] });
+};
+
+// export the model
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/roles');
+const { hashToken, randomToken } = require('../utils/tokens');
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -21,6 +26,38 @@ const UserSchema = new mongoose.Schema({
         select: false,
         minlength: 6
     },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'reader'
+    },
+    // the Author record this user writes as (only meaningful for the author role)
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Author',
+        default: null
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // only sha256 hashes of the emailed tokens are stored
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -45,4 +82,20 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate an email verification token, storing its hash; returns the raw token to email
+UserSchema.methods.createEmailVerificationToken = function () {
+    const token = randomToken(32);
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+    return token;
+};
+
+// Generate a password reset token, storing its hash; returns the raw token to email
+UserSchema.methods.createPasswordResetToken = function () {
+    const token = randomToken(32);
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    return token;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,19 +1,104 @@
 // This file defines the routes for the article-related API endpoints.
-// It includes routes for getting all articles with filters and getting a single article by ID.
+// It includes routes for getting all articles with filters and getting a single article by ID,
+// plus the CMS routes for writing articles and moving them through the publishing workflow.
 const express = require('express');
 const router = express.Router();
 const articleController = require('../controllers/articleController');
+const articleRevisionController = require('../controllers/articleRevisionController');
+const commentController = require('../controllers/commentController');
+const reactionController = require('../controllers/reactionController');
+const { verifyToken, optionalToken } = require('../controllers/authController');
+const { authorize, authorizeArticleAuthor } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const { idParams, lookupParams, paginationQuery } = require('../validations/common');
+const {
+    createArticleValidation,
+    updateArticleValidation,
+    patchArticleValidation,
+    articleListQuery,
+    searchQuery,
+    relatedQuery,
+    renderQuery,
+    trendingQuery,
+    mostReadQuery,
+    cmsListQuery,
+    revisionParams,
+    revisionDiffQuery,
+    statusChangeValidation,
+    rejectValidation,
+    scheduleValidation
+} = require('../validations/articleValidations');
+const { commentListQuery, createCommentValidation } = require('../validations/commentValidations');
+const { reactionValidation } = require('../validations/reactionValidations');
+const { CMS_ROLES, EDITOR_ROLES } = require('../utils/roles');
 
 // GET /api/articles - Get all articles with filters
-router.get('/', articleController.getArticles);
+router.get('/', validate({ query: articleListQuery }), articleController.getArticles);
 
-// GET /api/articles/:id - Get single article
-router.get('/:id', articleController.getArticleById);
+// GET /api/articles/search?q= - Full-text search over published articles
+router.get('/search', validate({ query: searchQuery }), articleController.searchArticles);
+
+// GET /api/articles/trending - Articles with the most recent views
+router.get('/trending', validate({ query: trendingQuery }), articleController.getTrendingArticles);
+
+// GET /api/articles/most-read - Articles with the most views over the last days
+router.get('/most-read', validate({ query: mostReadQuery }), articleController.getMostReadArticles);
+
+// GET /api/articles/cms - List articles in any status for the CMS
+router.get('/cms', verifyToken, authorize(...CMS_ROLES), validate({ query: cmsListQuery }), articleController.getCmsArticles);
+
+// GET /api/articles/trash - List articles in the trash
+router.get('/trash', verifyToken, authorize(...EDITOR_ROLES), validate({ query: paginationQuery }), articleController.getDeletedArticles);
+
+// GET /api/articles/:id - Get single article by ID or slug
+router.get('/:id', validate({ params: lookupParams }), optionalToken, articleController.getArticleById);
+
+// GET /api/articles/:id/related - Suggest published articles related to an article
+router.get('/:id/related', validate({ params: lookupParams, query: relatedQuery }), optionalToken, articleController.getRelatedArticles);
+
+// GET /api/articles/:id/render?format=html|text - Render the article body
+router.get('/:id/render', validate({ params: lookupParams, query: renderQuery }), optionalToken, articleController.renderArticle);
+
+// GET /api/articles/:id/comments - Approved reader comments with their replies
+router.get('/:id/comments', validate({ params: lookupParams, query: commentListQuery }), optionalToken, commentController.getComments);
+
+// POST /api/articles/:id/comments - Comment on an article or reply to a comment
+router.post('/:id/comments', verifyToken, validate({ params: lookupParams, body: createCommentValidation }), commentController.createComment);
+
+// POST /api/articles/:id/reactions - React to an article; the same reaction again removes it
+router.post('/:id/reactions', verifyToken, validate({ params: lookupParams, body: reactionValidation }), reactionController.toggleReaction);
+
+// DELETE /api/articles/:id/reactions - Remove your reaction from an article
+router.delete('/:id/reactions', verifyToken, validate({ params: lookupParams }), reactionController.removeReaction);
+
+// POST /api/articles/:id/view - Count a view of an article (beacon)
+router.post('/:id/view', validate({ params: lookupParams }), optionalToken, articleController.recordArticleView);
 
 // create a new article
-router.post('/', articleController.createArticle);
+router.post('/', verifyToken, authorize(...CMS_ROLES), validate(createArticleValidation), authorizeArticleAuthor, articleController.createArticle);
+
+// update an article
+router.put('/:id', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, body: updateArticleValidation }), authorizeArticleAuthor, articleController.updateArticle);
+
+// partially update an article, honouring If-Match
+router.patch('/:id', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, body: patchArticleValidation }), authorizeArticleAuthor, articleController.patchArticle);
+
+// publishing workflow: authors submit their own drafts, editors do the rest
+router.post('/:id/submit', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, body: statusChangeValidation }), authorizeArticleAuthor, articleController.submitArticle);
+router.post('/:id/approve', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams, body: statusChangeValidation }), articleController.approveArticle);
+router.post('/:id/reject', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams, body: rejectValidation }), articleController.rejectArticle);
+router.post('/:id/schedule', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams, body: scheduleValidation }), articleController.scheduleArticle);
+router.post('/:id/archive', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams, body: statusChangeValidation }), articleController.archiveArticle);
+
+// revision history: list, inspect, compare and roll back
+router.get('/:id/revisions', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, query: paginationQuery }), authorizeArticleAuthor, articleRevisionController.getRevisions);
+router.get('/:id/revisions/diff', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, query: revisionDiffQuery }), authorizeArticleAuthor, articleRevisionController.diffRevisions);
+router.get('/:id/revisions/:rev', verifyToken, authorize(...CMS_ROLES), validate({ params: revisionParams }), authorizeArticleAuthor, articleRevisionController.getRevision);
+router.post('/:id/revisions/:rev/restore', verifyToken, authorize(...CMS_ROLES), validate({ params: revisionParams }), authorizeArticleAuthor, articleRevisionController.restoreRevision);
 
-// update an article    
-router.put('/:id', articleController.updateArticle);
+// trash: editors move articles to the trash and restore them, only admins purge
+router.delete('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams }), articleController.deleteArticle);
+router.post('/:id/restore', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams }), articleController.restoreArticle);
+router.delete('/:id/purge', verifyToken, authorize('admin'), validate({ params: idParams }), articleController.purgeArticle);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const assetController = require('../controllers/assetController');
+const { verifyToken } = require('../controllers/authController');
+const { authorize } = require('../middlewares/authorize');
+const { uploadSingle } = require('../middlewares/upload');
+const validate = require('../middlewares/validate');
+const { idParams } = require('../validations/common');
+const {
+    uploadAssetValidation,
+    assetListQuery,
+    updateAssetValidation
+} = require('../validations/assetValidations');
+const { CMS_ROLES, EDITOR_ROLES } = require('../utils/roles');
+
+// GET /api/assets - Browse the asset library (?kind=image|audio|video&q=)
+router.get('/', verifyToken, authorize(...CMS_ROLES), validate({ query: assetListQuery }), assetController.getAssets);
+
+// GET /api/assets/:id - Get an asset with its generated sizes
+router.get('/:id', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams }), assetController.getAssetById);
+
+// POST /api/assets - Upload a file as multipart "file" (optional articleType and alt fields)
+router.post('/', verifyToken, authorize(...CMS_ROLES), uploadSingle('file'), validate(uploadAssetValidation), assetController.uploadAsset);
+
+// PATCH /api/assets/:id - Update the alternative text of an asset
+router.patch('/:id', verifyToken, authorize(...CMS_ROLES), validate({ params: idParams, body: updateAssetValidation }), assetController.updateAsset);
+
+// DELETE /api/assets/:id - Delete an asset that is no longer used
+router.delete('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams }), assetController.deleteAsset);
+
+module.exports = router;
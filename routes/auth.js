@@ -3,9 +3,15 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const {
     loginValidation,
-    registerValidation
+    registerValidation,
+    refreshValidation,
+    tokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    updateRoleValidation
 } = require('../validations/authValidations');
 const validate = require('../middlewares/validate');
+const { authorize } = require('../middlewares/authorize');
 
 // Registration route
 router.post('/register', validate(registerValidation), authController.register);
@@ -13,9 +19,31 @@ router.post('/register', validate(registerValidation), authController.register);
 // Login route
 router.post('/login', validate(loginValidation), authController.login);
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', validate(refreshValidation), authController.refresh);
+
+// Log out the current session, or every device
+router.post('/logout', authController.verifyToken, authController.logout);
+router.post('/logout-all', authController.verifyToken, authController.logoutAll);
+
+// List and revoke the current user's sessions
+router.get('/sessions', authController.verifyToken, authController.getSessions);
+router.delete('/sessions/:id', authController.verifyToken, authController.revokeSession);
+
+// Email verification
+router.post('/verify-email', validate(tokenValidation), authController.verifyEmail);
+router.post('/resend-verification', authController.verifyToken, authController.resendVerification);
+
+// Password reset
+router.post('/forgot-password', validate(forgotPasswordValidation), authController.forgotPassword);
+router.post('/reset-password', validate(resetPasswordValidation), authController.resetPassword);
+
 // Protected test route
 router.get('/test-auth', authController.verifyToken, (req, res) => {
     res.json({ message: 'Authenticated successfully', user: req.user });
 });
 
+// Change a user's role (admin only)
+router.put('/users/:id/role', authController.verifyToken, authorize('admin'), validate(updateRoleValidation), authController.updateUserRole);
+
 module.exports = router;
\ No newline at end of file
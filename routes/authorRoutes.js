@@ -2,17 +2,46 @@
 const express = require('express');
 const router = express.Router();
 const authorController = require('../controllers/authorController');
+const { verifyToken, optionalToken } = require('../controllers/authController');
+const { authorize } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const { lookupParams, paginationQuery, listingQuery, deleteQuery, restoreQuery } = require('../validations/common');
+const {
+    createAuthorValidation,
+    updateAuthorValidation,
+    patchAuthorValidation,
+    authorArticlesQuery
+} = require('../validations/authorValidations');
+const { EDITOR_ROLES } = require('../utils/roles');
 
-// GET /api/authors - Get all authors
-router.get('/', authorController.getAuthors);
+// GET /api/authors - List authors with their article counts (?q=&sort=name|-name|createdAt|-createdAt)
+router.get('/', validate({ query: listingQuery }), optionalToken, authorController.getAuthors);
+
+// GET /api/authors/trash - List authors in the trash
+router.get('/trash', verifyToken, authorize(...EDITOR_ROLES), validate({ query: paginationQuery }), authorController.getDeletedAuthors);
 
 // GET /api/authors/:id - Get author by ID
-router.get('/:id', authorController.getAuthorById);
+router.get('/:id', validate({ params: lookupParams }), authorController.getAuthorById);
+
+// GET /api/authors/:id/articles - Published articles the author contributed to (?role= for one role)
+router.get('/:id/articles', validate({ params: lookupParams, query: authorArticlesQuery }), authorController.getAuthorArticles);
 
 // POST /api/authors - Create a new author
-router.post('/', authorController.createAuthor);
+router.post('/', verifyToken, authorize(...EDITOR_ROLES), validate(createAuthorValidation), authorController.createAuthor);
 
 // PUT /api/authors/:id - Update an author by ID
-router.put('/:id', authorController.updateAuthorById);
+router.put('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, body: updateAuthorValidation }), authorController.updateAuthorById);
+
+// PATCH /api/authors/:id - Partially update an author, honouring If-Match
+router.patch('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, body: patchAuthorValidation }), authorController.patchAuthorById);
+
+// DELETE /api/authors/:id - Move an author to the trash (?onArticles=block|reassign|cascade&reassignTo=)
+router.delete('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, query: deleteQuery }), authorController.deleteAuthorById);
+
+// POST /api/authors/:id/restore - Restore an author from the trash (?cascade=true to restore their articles too)
+router.post('/:id/restore', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, query: restoreQuery }), authorController.restoreAuthorById);
+
+// DELETE /api/authors/:id/purge - Permanently delete an author from the trash
+router.delete('/:id/purge', verifyToken, authorize('admin'), validate({ params: lookupParams }), authorController.purgeAuthorById);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
+const { verifyToken, optionalToken } = require('../controllers/authController');
+const { authorize } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const { lookupParams, paginationQuery, listingQuery, deleteQuery, restoreQuery } = require('../validations/common');
+const {
+    createCategoryValidation,
+    updateCategoryValidation,
+    patchCategoryValidation
+} = require('../validations/categoryValidations');
+const { EDITOR_ROLES } = require('../utils/roles');
 
-// GET /api/categories - Get all categories
-router.get('/', categoryController.getCategories);
+// GET /api/categories - List categories with their article counts (?q=&sort=name|-name|createdAt|-createdAt)
+router.get('/', validate({ query: listingQuery }), optionalToken, categoryController.getCategories);
+
+// GET /api/categories/tree - Get all categories nested under their parents
+router.get('/tree', categoryController.getCategoryTree);
 
 // POST /api/categories - Create new category (for CMS)
-router.post('/', categoryController.createCategory);
+router.post('/', verifyToken, authorize(...EDITOR_ROLES), validate(createCategoryValidation), categoryController.createCategory);
+
+// GET /api/categories/trash - List categories in the trash (for CMS)
+router.get('/trash', verifyToken, authorize(...EDITOR_ROLES), validate({ query: paginationQuery }), categoryController.getDeletedCategories);
 
 // GET /api/categories/:id - Get category by ID (for CMS)
-router.get('/:id', categoryController.getCategoryById);
+router.get('/:id', validate({ params: lookupParams }), categoryController.getCategoryById);
 
 // PUT /api/categories/:id - Update category by ID (for CMS)
-router.put('/:id', categoryController.updateCategoryById);
+router.put('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, body: updateCategoryValidation }), categoryController.updateCategoryById);
+
+// PATCH /api/categories/:id - Partially update a category, honouring If-Match (for CMS)
+router.patch('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, body: patchCategoryValidation }), categoryController.patchCategoryById);
+
+// DELETE /api/categories/:id - Move a category to the trash (?onArticles=block|reassign|cascade&reassignTo=)
+router.delete('/:id', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, query: deleteQuery }), categoryController.deleteCategoryById);
+
+// POST /api/categories/:id/restore - Restore a category from the trash (?cascade=true to restore its articles too)
+router.post('/:id/restore', verifyToken, authorize(...EDITOR_ROLES), validate({ params: lookupParams, query: restoreQuery }), categoryController.restoreCategoryById);
+
+// DELETE /api/categories/:id/purge - Permanently delete a category from the trash
+router.delete('/:id/purge', verifyToken, authorize('admin'), validate({ params: lookupParams }), categoryController.purgeCategoryById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// This file defines the routes editors use to moderate reader comments, and readers to remove their own.
+// Comments are listed and posted through /api/articles/:id/comments.
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const { verifyToken } = require('../controllers/authController');
+const { authorize } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const { idParams } = require('../validations/common');
+const { moderationQueueQuery, moderateCommentValidation } = require('../validations/commentValidations');
+const { EDITOR_ROLES } = require('../utils/roles');
+
+// GET /api/comments/queue - Comments waiting for moderation (?status= for the others)
+router.get('/queue', verifyToken, authorize(...EDITOR_ROLES), validate({ query: moderationQueueQuery }), commentController.getModerationQueue);
+
+// POST /api/comments/:id/moderate - Approve a comment or mark it as spam or removed
+router.post('/:id/moderate', verifyToken, authorize(...EDITOR_ROLES), validate({ params: idParams, body: moderateCommentValidation }), commentController.moderateComment);
+
+// DELETE /api/comments/:id - Remove your own comment, or any comment as an editor
+router.delete('/:id', verifyToken, validate({ params: idParams }), commentController.deleteComment);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// This file defines the public feeds of published articles, in RSS, Atom and JSON Feed format,
+// for the whole site and per category, author and tag, plus podcast feeds of audio articles.
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+const validate = require('../middlewares/validate');
+const { lookupParams } = require('../validations/common');
+
+// the file name of each feed format
+const FEED_FILES = { 'rss.xml': 'rss', 'atom.xml': 'atom', 'feed.json': 'json' };
+
+for (const [file, format] of Object.entries(FEED_FILES)) {
+    // GET /feeds/rss.xml - The latest articles of the whole site
+    router.get(`/${file}`, feedController.getFeed(format));
+
+    // GET /feeds/category/:id/rss.xml - The latest articles of a category and its subcategories
+    router.get(`/category/:id/${file}`, validate({ params: lookupParams }), feedController.getFeed(format, 'category'));
+
+    // GET /feeds/author/:id/rss.xml - The latest articles of an author
+    router.get(`/author/:id/${file}`, validate({ params: lookupParams }), feedController.getFeed(format, 'author'));
+
+    // GET /feeds/tag/:id/rss.xml - The latest articles with a tag
+    router.get(`/tag/:id/${file}`, validate({ params: lookupParams }), feedController.getFeed(format, 'tag'));
+}
+
+// GET /feeds/category/:id/podcast.xml - The audio articles of a category as a podcast
+router.get('/category/:id/podcast.xml', validate({ params: lookupParams }), feedController.getFeed('podcast', 'category'));
+
+// GET /feeds/author/:id/podcast.xml - The audio articles of an author as a podcast
+router.get('/author/:id/podcast.xml', validate({ params: lookupParams }), feedController.getFeed('podcast', 'author'));
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// This file defines the routes of the signed in reader: bookmarks, reading history, follows and
+// the personalized feed built from them.
+const express = require('express');
+const router = express.Router();
+const meController = require('../controllers/meController');
+const { verifyToken } = require('../controllers/authController');
+const validate = require('../middlewares/validate');
+const { idParams } = require('../validations/common');
+const { meListQuery, followParams } = require('../validations/meValidations');
+
+router.use(verifyToken);
+
+// GET /api/me/feed - Latest articles of the authors and categories you follow
+router.get('/feed', validate({ query: meListQuery }), meController.getFeed);
+
+// GET /api/me/bookmarks - Your bookmarked articles
+router.get('/bookmarks', validate({ query: meListQuery }), meController.getBookmarks);
+
+// PUT /api/me/bookmarks/:id - Bookmark an article
+router.put('/bookmarks/:id', validate({ params: idParams }), meController.addBookmark);
+
+// DELETE /api/me/bookmarks/:id - Remove a bookmark
+router.delete('/bookmarks/:id', validate({ params: idParams }), meController.removeBookmark);
+
+// GET /api/me/history - Articles you read, most recent first
+router.get('/history', validate({ query: meListQuery }), meController.getHistory);
+
+// DELETE /api/me/history - Clear your reading history
+router.delete('/history', meController.clearHistory);
+
+// GET /api/me/follows - Authors and categories you follow
+router.get('/follows', meController.getFollows);
+
+// PUT /api/me/follows/:type/:id - Follow an author or category (type is "authors" or "categories")
+router.put('/follows/:type/:id', validate({ params: followParams }), meController.follow);
+
+// DELETE /api/me/follows/:type/:id - Stop following an author or category
+router.delete('/follows/:type/:id', validate({ params: followParams }), meController.unfollow);
+
+module.exports = router;
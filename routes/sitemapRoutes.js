@@ -0,0 +1,20 @@
+// This file defines robots.txt and the sitemaps search engines use to discover articles, categories and author pages.
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/sitemapController');
+const validate = require('../middlewares/validate');
+const { sectionSitemapParams } = require('../validations/sitemapValidations');
+
+// GET /robots.txt - Points crawlers at the sitemap and the news sitemap
+router.get('/robots.txt', sitemapController.getRobots);
+
+// GET /sitemap.xml - Every public page, or a sitemap index once there are too many
+router.get('/sitemap.xml', sitemapController.getSitemap);
+
+// GET /sitemaps/news.xml - Google News sitemap of the last 48 hours
+router.get('/sitemaps/news.xml', sitemapController.getNewsSitemap);
+
+// GET /sitemaps/articles-1.xml - A numbered sitemap of the sitemap index
+router.get('/sitemaps/:section-:page.xml', validate({ params: sectionSitemapParams }), sitemapController.getSectionSitemap);
+
+module.exports = router;
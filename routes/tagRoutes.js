@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { verifyToken, optionalToken } = require('../controllers/authController');
+const { authorize } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const { lookupParams } = require('../validations/common');
+const {
+    tagListQuery,
+    popularTagsQuery,
+    renameTagValidation,
+    mergeTagValidation
+} = require('../validations/tagValidations');
+
+// GET /api/tags - List tags with their article counts (?q= for autocomplete)
+router.get('/', validate({ query: tagListQuery }), optionalToken, tagController.getTags);
+
+// GET /api/tags/popular - Most used tags with a weight for tag clouds
+router.get('/popular', validate({ query: popularTagsQuery }), tagController.getPopularTags);
+
+// PATCH /api/tags/:id - Rename a tag in every article using it
+router.patch('/:id', verifyToken, authorize('admin'), validate({ params: lookupParams, body: renameTagValidation }), tagController.renameTag);
+
+// POST /api/tags/:id/merge - Merge a tag into another one ({ into })
+router.post('/:id/merge', verifyToken, authorize('admin'), validate({ params: lookupParams, body: mergeTagValidation }), tagController.mergeTag);
+
+module.exports = router;
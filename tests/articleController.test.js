@@ -5,6 +5,11 @@ const app = require('../index');
 const Article = require('../models/articleModel');
 const Category = require('../models/categoryModel');
 const Author = require('../models/authorModel');
+const User = require('../models/userModel');
+const { loginAs } = require('./helpers');
+const ArticleView = require('../models/articleViewModel');
+const ArticleViewStat = require('../models/articleViewStatModel');
+const ArticleRevision = require('../models/articleRevisionModel');
 
 beforeAll(async () => {
     // Disconnect the default connection
@@ -21,7 +26,7 @@ afterAll(async () => {
 });
 
 describe('Article Controller', () => {
-    let category, author, article;
+    let category, author, article, editorToken;
 
     beforeEach(async () => {
         // Create test data
@@ -36,7 +41,10 @@ describe('Article Controller', () => {
             category: category._id,
             tags: ['test', 'article'],
             author: author._id,
+            status: 'published',
+            publishDate: new Date(),
         });
+        editorToken = await loginAs('editor');
     });
 
     afterEach(async () => {
@@ -44,6 +52,9 @@ describe('Article Controller', () => {
         await Article.deleteMany();
         await Category.deleteMany();
         await Author.deleteMany();
+        await User.deleteMany();
+        await ArticleView.deleteMany();
+        await ArticleViewStat.deleteMany();
     });
 
     test('GET /api/articles - Fetch all articles', async () => {
@@ -71,7 +82,7 @@ describe('Article Controller', () => {
             tags: ['new', 'article'],
             author: author._id,
         };
-        const res = await request(app).post('/api/articles').send(newArticle);
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send(newArticle);
         expect(res.statusCode).toBe(201);
         expect(res.body.status).toBe(1);
         expect(res.body.data.title).toBe('New Article');
@@ -79,7 +90,7 @@ describe('Article Controller', () => {
 
     test('PUT /api/articles/:id - Update an article', async () => {
         const updatedData = { title: 'Updated Article' };
-        const res = await request(app).put(`/api/articles/${article._id}`).send(updatedData);
+        const res = await request(app).put(`/api/articles/${article._id}`).set('Authorization', editorToken).send(updatedData);
         expect(res.statusCode).toBe(200);
         expect(res.body.status).toBe(1);
         expect(res.body.data.title).toBe('Updated Article');
@@ -100,17 +111,529 @@ describe('Article Controller', () => {
             category: '',
             author: '',
         };
-        const res = await request(app).post('/api/articles').send(invalidArticle);
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send(invalidArticle);
         expect(res.statusCode).toBe(400);
         expect(res.body.status).toBe(0);
-        expect(res.body.message).toBe('Please provide all required fields');
+        // every invalid field is reported, not just the first
+        expect(res.body.errors.map(error => error.field)).toEqual(
+            expect.arrayContaining(['title', 'articleImage', 'category', 'author'])
+        );
+    });
+
+    test('POST /api/articles - Return 400 for an invalid media URL on audio articles', async () => {
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'Audio Article',
+            articleImage: 'http://example.com/audio.jpg',
+            category: category._id,
+            author: author._id,
+            articleType: 'audio',
+            mediaUrl: 'not-a-url'
+        });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors[0].field).toBe('mediaUrl');
+    });
+
+    test('GET /api/articles - Return 400 for an invalid limit', async () => {
+        const res = await request(app).get('/api/articles?limit=1000');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors[0]).toMatchObject({ location: 'query', field: 'limit' });
     });
 
     test('PUT /api/articles/:id - Return 404 for non-existent article', async () => {
         const nonExistentId = new mongoose.Types.ObjectId();
-        const res = await request(app).put(`/api/articles/${nonExistentId}`).send({ title: 'Non-existent Article' });
+        const res = await request(app).put(`/api/articles/${nonExistentId}`).set('Authorization', editorToken).send({ title: 'Non-existent Article' });
         expect(res.statusCode).toBe(404);
         expect(res.body.status).toBe(0);
         expect(res.body.message).toBe('Article not found');
     });
-});
\ No newline at end of file
+
+    test('POST /api/articles - Return 401 without a token', async () => {
+        const res = await request(app).post('/api/articles').send({ title: 'No Token' });
+        expect(res.statusCode).toBe(401);
+        expect(res.body.status).toBe(0);
+    });
+
+    test('POST /api/articles - Return 403 for readers', async () => {
+        const readerToken = await loginAs('reader');
+        const res = await request(app).post('/api/articles').set('Authorization', readerToken).send({ title: 'Reader Article' });
+        expect(res.statusCode).toBe(403);
+        expect(res.body.status).toBe(0);
+    });
+
+    test('PUT /api/articles/:id - Return 403 when an author edits someone else\'s article', async () => {
+        const otherAuthor = await Author.create({ authorName: 'Other Author' });
+        const authorToken = await loginAs('author', { author: otherAuthor._id });
+        const res = await request(app).put(`/api/articles/${article._id}`).set('Authorization', authorToken).send({ title: 'Hijacked' });
+        expect(res.statusCode).toBe(403);
+        expect(res.body.message).toBe('You can only manage your own articles');
+    });
+
+    test('GET /api/articles/:id - Only show authors the drafts they are credited on', async () => {
+        const otherAuthor = await Author.create({ authorName: 'Other Author' });
+        const authorToken = await loginAs('author', { author: otherAuthor._id });
+        const draft = await Article.create({ title: 'Draft', articleImage: 'http://example.com/d.jpg', category: category._id, author: author._id });
+
+        expect((await request(app).get(`/api/articles/${draft._id}`).set('Authorization', authorToken)).statusCode).toBe(404);
+        expect((await request(app).get(`/api/articles/${draft._id}/render`).set('Authorization', authorToken)).statusCode).toBe(404);
+        expect((await request(app).get(`/api/articles/${draft._id}/related`).set('Authorization', authorToken)).statusCode).toBe(404);
+
+        await Article.updateOne({ _id: draft._id }, { $push: { contributors: { author: otherAuthor._id, role: 'photographer' } } });
+        const credited = await request(app).get(`/api/articles/${draft._id}`).set('Authorization', authorToken);
+        expect(credited.statusCode).toBe(200);
+        expect(credited.body.data.title).toBe('Draft');
+    });
+
+    test('GET /api/articles/cms - List the articles an author is credited on', async () => {
+        const otherAuthor = await Author.create({ authorName: 'Other Author' });
+        const authorToken = await loginAs('author', { author: otherAuthor._id });
+        await Article.create({ title: 'Own Draft', articleImage: 'http://example.com/o.jpg', category: category._id, author: otherAuthor._id });
+        await Article.updateOne({ _id: article._id }, { $push: { contributors: { author: otherAuthor._id, role: 'co-author' } } });
+        await Article.create({ title: 'Someone Else', articleImage: 'http://example.com/s.jpg', category: category._id, author: author._id });
+
+        const res = await request(app).get('/api/articles/cms').set('Authorization', authorToken);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles.map(a => a.title).sort()).toEqual(['Own Draft', 'Test Article']);
+    });
+
+    test('GET /api/authors - Count the articles an author is credited on', async () => {
+        const photographer = await Author.create({ authorName: 'Photo Grapher' });
+        await Article.updateOne({ _id: article._id }, { contributors: [
+            { author: author._id, role: 'author' },
+            { author: photographer._id, role: 'photographer' },
+            { author: photographer._id, role: 'illustrator' },
+        ] });
+
+        const res = await request(app).get('/api/authors');
+        expect(res.statusCode).toBe(200);
+        const counts = Object.fromEntries(res.body.data.authors.map(a => [a.authorName, a.articleCount]));
+        expect(counts).toEqual({ 'Test Author': 1, 'Photo Grapher': 1 });
+
+        const page = await request(app).get(`/api/authors/${photographer._id}`);
+        expect(page.body.data.contributionCount).toBe(1);
+    });
+
+    test('GET /api/articles - Hide drafts and articles scheduled in the future', async () => {
+        await Article.create({ title: 'Draft', articleImage: 'http://example.com/d.jpg', category: category._id, author: author._id });
+        await Article.create({
+            title: 'Scheduled',
+            articleImage: 'http://example.com/s.jpg',
+            category: category._id,
+            author: author._id,
+            status: 'scheduled',
+            publishDate: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        const res = await request(app).get('/api/articles');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles).toHaveLength(1);
+        expect(res.body.data.articles[0].title).toBe('Test Article');
+    });
+
+    test('GET /api/articles?authorName= - Count and page only that author\'s articles', async () => {
+        const other = await Author.create({ authorName: 'Other Author' });
+        for (let i = 0; i < 3; i++) {
+            await Article.create({
+                title: `Other ${i}`,
+                articleImage: 'http://example.com/o.jpg',
+                category: category._id,
+                author: other._id,
+                status: 'published',
+                publishDate: new Date(Date.now() - (i + 1) * 1000),
+            });
+        }
+        const res = await request(app).get('/api/articles?authorName=test%20author&limit=1');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles).toHaveLength(1);
+        expect(res.body.data.totalCount).toBe(1);
+        expect(res.body.data.totalPages).toBe(1);
+        expect(res.body.data.hasNextPage).toBe(false);
+    });
+
+    test('POST /api/articles - Credit contributors and find articles by any of them', async () => {
+        const photographer = await Author.create({ authorName: 'Photo Grapher' });
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'Team Effort',
+            articleImage: 'http://example.com/team.jpg',
+            category: category._id.toString(),
+            author: author._id.toString(),
+            contributors: [{ author: photographer._id.toString(), role: 'photographer' }],
+        });
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data.contributors).toEqual([
+            { author: author._id.toString(), role: 'author' },
+            { author: photographer._id.toString(), role: 'photographer' },
+        ]);
+        await request(app).post(`/api/articles/${res.body.data._id}/submit`).set('Authorization', editorToken);
+        await request(app).post(`/api/articles/${res.body.data._id}/approve`).set('Authorization', editorToken);
+
+        const listing = await request(app).get('/api/articles?authorName=photo%20grapher');
+        expect(listing.statusCode).toBe(200);
+        expect(listing.body.data.articles.map(a => a.title)).toEqual(['Team Effort']);
+        expect(listing.body.data.articles[0].contributors.map(c => [c.authorName, c.role])).toEqual([
+            ['Test Author', 'author'],
+            ['Photo Grapher', 'photographer'],
+        ]);
+
+        const profile = await request(app).get(`/api/authors/${photographer._id}`);
+        expect(profile.body.data.contributionCount).toBe(1);
+        const contributions = await request(app).get(`/api/authors/${photographer._id}/articles`);
+        expect(contributions.body.data.articles.map(a => [a.title, a.roles])).toEqual([['Team Effort', ['photographer']]]);
+        const written = await request(app).get(`/api/authors/${author._id}/articles?role=author`);
+        expect(written.body.data.articles.map(a => a.title).sort()).toEqual(['Team Effort', 'Test Article']);
+    });
+
+    test('PATCH /api/articles/:id - Keep the primary author in step with the byline', async () => {
+        const other = await Author.create({ authorName: 'Other Author' });
+        const res = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken)
+            .send({ contributors: [{ author: other._id.toString() }, { author: author._id.toString(), role: 'editor' }] });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.author).toBe(other._id.toString());
+
+        const authorToken = await loginAs('author', { author: other._id });
+        const handOver = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', authorToken)
+            .send({ contributors: [{ author: author._id.toString() }] });
+        expect(handOver.statusCode).toBe(403);
+    });
+
+    test('DELETE /api/authors/:id - Count bylines and move them on reassign', async () => {
+        const photographer = await Author.create({ authorName: 'Photo Grapher' });
+        const replacement = await Author.create({ authorName: 'New Photographer' });
+        await Article.updateOne({ _id: article._id }, { contributors: [{ author: author._id, role: 'author' }, { author: photographer._id, role: 'photographer' }] });
+
+        const blocked = await request(app).delete(`/api/authors/${photographer._id}`).set('Authorization', editorToken);
+        expect(blocked.statusCode).toBe(409);
+
+        const reassigned = await request(app).delete(`/api/authors/${photographer._id}?onArticles=reassign&reassignTo=${replacement._id}`)
+            .set('Authorization', editorToken);
+        expect(reassigned.statusCode).toBe(200);
+        const updated = await Article.findById(article._id);
+        expect(updated.contributors.map(c => [String(c.author), c.role])).toEqual([
+            [String(author._id), 'author'],
+            [String(replacement._id), 'photographer'],
+        ]);
+
+        const adminToken = await loginAs('admin');
+        expect((await request(app).delete(`/api/authors/${photographer._id}/purge`).set('Authorization', adminToken)).statusCode).toBe(200);
+    });
+
+    test('DELETE /api/authors/:id - Drop the old byline when reassigning to an author with the same role', async () => {
+        const first = await Author.create({ authorName: 'First Photographer' });
+        const second = await Author.create({ authorName: 'Second Photographer' });
+        await Article.updateOne({ _id: article._id }, { contributors: [
+            { author: author._id, role: 'author' },
+            { author: first._id, role: 'photographer' },
+            { author: second._id, role: 'photographer' },
+            { author: first._id, role: 'illustrator' },
+        ] });
+
+        const res = await request(app).delete(`/api/authors/${first._id}?onArticles=reassign&reassignTo=${second._id}`)
+            .set('Authorization', editorToken);
+        expect(res.statusCode).toBe(200);
+        const updated = await Article.findById(article._id);
+        expect(updated.contributors.map(c => [String(c.author), c.role])).toEqual([
+            [String(author._id), 'author'],
+            [String(second._id), 'photographer'],
+            [String(second._id), 'illustrator'],
+        ]);
+    });
+
+    test('DELETE /api/authors/:id - Give bylines back when a cascade delete is restored', async () => {
+        const photographer = await Author.create({ authorName: 'Photo Grapher' });
+        const byline = [{ author: photographer._id, role: 'co-author' }, { author: author._id, role: 'author' }, { author: photographer._id, role: 'photographer' }];
+        await Article.updateOne({ _id: article._id }, { contributors: byline });
+        const own = await Article.create({ title: 'Own Article', articleImage: 'http://example.com/o.jpg', category: category._id, author: photographer._id });
+
+        const deleted = await request(app).delete(`/api/authors/${photographer._id}?onArticles=cascade`).set('Authorization', editorToken);
+        expect(deleted.statusCode).toBe(200);
+        expect((await Article.findById(article._id)).contributors.map(c => String(c.author))).toEqual([String(author._id)]);
+        expect(await Article.findById(own._id)).toBeNull();
+
+        const restored = await request(app).post(`/api/authors/${photographer._id}/restore?cascade=true`).set('Authorization', editorToken);
+        expect(restored.statusCode).toBe(200);
+        expect(restored.body.data.restoredArticles).toBe(1);
+        const credited = await Article.findById(article._id).select('+removedCredits');
+        expect(credited.contributors.map(c => [String(c.author), c.role])).toEqual(byline.map(c => [String(c.author), c.role]));
+        expect(credited.removedCredits).toHaveLength(0);
+    });
+
+    test('GET /api/articles?cursor= - Page without skipping or repeating after an insert', async () => {
+        for (let i = 0; i < 3; i++) {
+            await Article.create({
+                title: `Older ${i}`,
+                articleImage: 'http://example.com/o.jpg',
+                category: category._id,
+                author: author._id,
+                status: 'published',
+                publishDate: new Date(Date.now() - (i + 1) * 60 * 1000),
+            });
+        }
+        const first = await request(app).get('/api/articles?limit=2');
+        expect(first.body.data.totalCount).toBe(4);
+        expect(first.body.data.hasNextPage).toBe(true);
+
+        // a newer article published between the two requests must not shift the next page
+        await Article.create({
+            title: 'Newest',
+            articleImage: 'http://example.com/n.jpg',
+            category: category._id,
+            author: author._id,
+            status: 'published',
+            publishDate: new Date(),
+        });
+        const second = await request(app).get(`/api/articles?limit=2&cursor=${first.body.data.nextCursor}`);
+        expect(second.statusCode).toBe(200);
+        expect(second.body.data.articles.map(a => a.title)).toEqual(['Older 1', 'Older 2']);
+        expect(second.body.data.hasNextPage).toBe(false);
+        expect(second.body.data.nextCursor).toBeNull();
+    });
+
+    test('GET /api/articles - Return 400 for a malformed cursor', async () => {
+        const res = await request(app).get('/api/articles?cursor=not-a-cursor');
+        expect(res.statusCode).toBe(400);
+    });
+
+    test('GET /api/articles/:id/related - Rank articles sharing tags, category or author', async () => {
+        const otherCategory = await Category.create({ categoryName: 'Other Category' });
+        const otherAuthor = await Author.create({ authorName: 'Other Author' });
+        const published = { articleImage: 'http://example.com/r.jpg', status: 'published', publishDate: new Date() };
+        await Article.create({ ...published, title: 'Same Tags', tags: ['test', 'article'], category: otherCategory._id, author: otherAuthor._id });
+        await Article.create({ ...published, title: 'Same Category', category: category._id, author: otherAuthor._id });
+        await Article.create({ ...published, title: 'Unrelated', category: otherCategory._id, author: otherAuthor._id });
+        await Article.create({ ...published, title: 'Draft', tags: ['test'], category: category._id, author: author._id, status: 'draft' });
+
+        const res = await request(app).get(`/api/articles/${article.slug}/related`);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles.map(a => a.title)).toEqual(['Same Tags', 'Same Category']);
+        expect(res.body.data.articles[0]).toHaveProperty('articleObjectId');
+    });
+
+    test('POST /api/articles/:id/submit and /approve - Publish a draft', async () => {
+        const draft = await Article.create({ title: 'Draft', articleImage: 'http://example.com/d.jpg', category: category._id, author: author._id });
+
+        const submitted = await request(app).post(`/api/articles/${draft._id}/submit`).set('Authorization', editorToken);
+        expect(submitted.statusCode).toBe(200);
+        expect(submitted.body.data.status).toBe('in_review');
+
+        const approved = await request(app).post(`/api/articles/${draft._id}/approve`).set('Authorization', editorToken);
+        expect(approved.statusCode).toBe(200);
+        expect(approved.body.data.status).toBe('published');
+        expect(approved.body.data.publishDate).toBeTruthy();
+    });
+
+    test('POST /api/articles/:id/reject - Require a comment and record it', async () => {
+        const inReview = await Article.create({ title: 'Review', articleImage: 'http://example.com/r.jpg', category: category._id, author: author._id, status: 'in_review' });
+
+        const missing = await request(app).post(`/api/articles/${inReview._id}/reject`).set('Authorization', editorToken).send({});
+        expect(missing.statusCode).toBe(400);
+
+        const res = await request(app).post(`/api/articles/${inReview._id}/reject`).set('Authorization', editorToken).send({ comment: 'Needs sources' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.status).toBe('draft');
+        expect(res.body.data.statusHistory[0].comment).toBe('Needs sources');
+    });
+
+    test('POST /api/articles/:id/approve - Return 409 for an invalid transition', async () => {
+        const res = await request(app).post(`/api/articles/${article._id}/approve`).set('Authorization', editorToken);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.status).toBe(0);
+    });
+
+    test('GET /api/articles/search - Rank matches and highlight snippets', async () => {
+        await Article.init(); // make sure the text index exists
+        const res = await request(app).get('/api/articles/search').query({ q: 'description' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles).toHaveLength(1);
+        expect(res.body.data.articles[0].score).toBeGreaterThan(0);
+        expect(res.body.data.articles[0].highlights.description).toBe('Test <mark>Description</mark>');
+    });
+
+    test('GET /api/articles/search - Return 400 without a query', async () => {
+        const res = await request(app).get('/api/articles/search');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Search query is required');
+    });
+
+    test('Revisions - Record, diff and roll back updates', async () => {
+        const created = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'First Title',
+            articleImage: 'http://example.com/image.jpg',
+            category: category._id,
+            author: author._id,
+        });
+        const id = created.body.data._id;
+        await request(app).put(`/api/articles/${id}`).set('Authorization', editorToken).send({
+            title: 'Second Title',
+            articleImage: 'http://example.com/image.jpg',
+            category: category._id,
+            author: author._id,
+        });
+
+        const list = await request(app).get(`/api/articles/${id}/revisions`).set('Authorization', editorToken);
+        expect(list.body.data.revisions.map(r => r.rev)).toEqual([2, 1]);
+
+        const diff = await request(app).get(`/api/articles/${id}/revisions/diff`).set('Authorization', editorToken);
+        expect(diff.body.data.changes).toEqual([{ field: 'title', from: 'First Title', to: 'Second Title' }]);
+
+        const restored = await request(app).post(`/api/articles/${id}/revisions/1/restore`).set('Authorization', editorToken);
+        expect(restored.statusCode).toBe(200);
+        expect(restored.body.data.article.title).toBe('First Title');
+        expect(restored.body.data.rev).toBe(3);
+    });
+
+    test('POST /api/articles/:id/revisions/:rev/restore - Return 412 for a stale If-Match', async () => {
+        await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ title: 'Revised' });
+        const etag = (await request(app).get(`/api/articles/${article._id}`)).headers.etag;
+
+        await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ title: 'Edited Meanwhile' });
+        const stale = await request(app).post(`/api/articles/${article._id}/revisions/1/restore`).set('Authorization', editorToken).set('If-Match', etag);
+        expect(stale.statusCode).toBe(412);
+        expect((await Article.findById(article._id)).title).toBe('Edited Meanwhile');
+
+        const fresh = await request(app).post(`/api/articles/${article._id}/revisions/1/restore`).set('Authorization', editorToken).set('If-Match', stale.body.data.etag);
+        expect(fresh.statusCode).toBe(200);
+        expect(fresh.body.data.article.title).toBe('Revised');
+        expect(fresh.headers.etag).toBeDefined();
+    });
+
+    test('DELETE /api/articles/:id/purge - Delete the article with its revisions and views', async () => {
+        await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ title: 'Revised' });
+        expect(await ArticleRevision.countDocuments({ article: article._id })).toBe(1);
+        await request(app).get(`/api/articles/${article._id}`).set('User-Agent', 'reader-a');
+        expect(await ArticleViewStat.countDocuments({ article: article._id })).toBeGreaterThan(0);
+
+        expect((await request(app).delete(`/api/articles/${article._id}`).set('Authorization', editorToken)).statusCode).toBe(200);
+        const adminToken = await loginAs('admin');
+        const res = await request(app).delete(`/api/articles/${article._id}/purge`).set('Authorization', adminToken);
+        expect(res.statusCode).toBe(200);
+        expect(await Article.findById(article._id).withDeleted()).toBeNull();
+        expect(await ArticleRevision.countDocuments({ article: article._id })).toBe(0);
+        expect(await ArticleView.countDocuments({ article: article._id })).toBe(0);
+        expect(await ArticleViewStat.countDocuments({ article: article._id })).toBe(0);
+    });
+
+    test('PATCH /api/articles/:id - Change only the supplied fields', async () => {
+        await Article.updateOne({ _id: article._id }, { articleType: 'audio' });
+        const res = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ subtitle: 'Patched' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.subtitle).toBe('Patched');
+        expect(res.body.data.articleType).toBe('audio');
+        expect(res.body.data.title).toBe('Test Article');
+    });
+
+    test('PATCH /api/articles/:id - Return 412 for a stale If-Match and 409 for a stale version', async () => {
+        const read = await request(app).get(`/api/articles/${article._id}`);
+        const etag = read.headers.etag;
+
+        const first = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).set('If-Match', etag).send({ title: 'Editor One' });
+        expect(first.statusCode).toBe(200);
+        expect(first.headers.etag).not.toBe(etag);
+
+        const second = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).set('If-Match', etag).send({ title: 'Editor Two' });
+        expect(second.statusCode).toBe(412);
+        expect((await Article.findById(article._id)).title).toBe('Editor One');
+
+        const stale = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ title: 'Editor Three', version: 0 });
+        expect(stale.statusCode).toBe(409);
+        expect(stale.body.data.etag).toBe(first.headers.etag);
+    });
+
+    test('PATCH /api/articles/:id - Return 412 for an If-Match taken before a status change', async () => {
+        const etag = (await request(app).get(`/api/articles/${article._id}`)).headers.etag;
+
+        const archived = await request(app).post(`/api/articles/${article._id}/archive`).set('Authorization', editorToken);
+        expect(archived.statusCode).toBe(200);
+        expect(archived.headers.etag).not.toBe(etag);
+        const revisions = await ArticleRevision.find({ article: article._id });
+        expect(revisions.map(revision => revision.action)).toEqual(['archive']);
+
+        const stale = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).set('If-Match', etag).send({ title: 'Stale Edit' });
+        expect(stale.statusCode).toBe(412);
+        const fresh = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).set('If-Match', archived.headers.etag).send({ title: 'Fresh Edit' });
+        expect(fresh.statusCode).toBe(200);
+    });
+
+    test('GET /api/articles/:slug - Resolve slugs and redirect old ones', async () => {
+        expect(article.slug).toBe('test-article');
+
+        const bySlug = await request(app).get('/api/articles/test-article');
+        expect(bySlug.statusCode).toBe(200);
+        expect(bySlug.body.data._id).toBe(article._id.toString());
+
+        await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ title: 'Renamed Article' });
+
+        const old = await request(app).get('/api/articles/test-article');
+        expect(old.statusCode).toBe(301);
+        expect(old.headers.location).toBe('/api/articles/renamed-article');
+    });
+
+    test('POST /api/articles - Suffix clashing slugs', async () => {
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'Test Article',
+            articleImage: 'http://example.com/image.jpg',
+            category: category._id,
+            author: author._id,
+        });
+        expect(res.body.data.slug).toBe('test-article-2');
+    });
+
+    test('PATCH /api/articles/:id - Sanitize body blocks and render them', async () => {
+        const body = [
+            { type: 'heading', text: 'Intro <b>now</b>', level: 2 },
+            { type: 'paragraph', text: 'Hello <strong>world</strong><script>alert(1)</script>' },
+            { type: 'embed', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' },
+        ];
+        const patched = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({ body });
+        expect(patched.statusCode).toBe(200);
+        expect(patched.body.data.body[1].text).toBe('Hello <strong>world</strong>');
+
+        const html = await request(app).get(`/api/articles/${article._id}/render`);
+        expect(html.statusCode).toBe(200);
+        expect(html.headers['content-type']).toMatch(/text\/html/);
+        expect(html.text).toContain('<h2>Intro &lt;b&gt;now&lt;/b&gt;</h2>');
+        expect(html.text).toContain('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+        expect(html.text).not.toContain('<script>');
+
+        const text = await request(app).get(`/api/articles/${article._id}/render?format=text`);
+        expect(text.headers['content-type']).toMatch(/text\/plain/);
+        expect(text.text).toBe('Intro <b>now</b>\n\nHello world');
+
+        const res = await request(app).get(`/api/articles/${article._id}`);
+        expect(res.body.data.wordCount).toBe(5);
+        expect(res.body.data.readingTime).toBe(1);
+    });
+
+    test('PATCH /api/articles/:id - Return 400 for unknown blocks and unsupported embeds', async () => {
+        const res = await request(app).patch(`/api/articles/${article._id}`).set('Authorization', editorToken).send({
+            body: [{ type: 'table', rows: [] }, { type: 'embed', url: 'https://example.com/video' }],
+        });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors.map(error => error.field)).toEqual(['body.0.type', 'body.1.url']);
+    });
+
+    test('GET /api/articles/:id - Count one view per visitor and rank by views', async () => {
+        const other = await Article.create({
+            title: 'Other Article',
+            articleImage: 'http://example.com/image.jpg',
+            articleType: 'audio',
+            mediaUrl: 'http://example.com/episode.mp3',
+            category: category._id,
+            author: author._id,
+            status: 'published',
+            publishDate: new Date(),
+        });
+
+        await request(app).get(`/api/articles/${article._id}`).set('User-Agent', 'reader-a');
+        await request(app).get(`/api/articles/${article._id}`).set('User-Agent', 'reader-a');
+        await request(app).get(`/api/articles/${article._id}`).set('User-Agent', 'reader-b');
+        await request(app).get(`/api/articles/${article._id}`).set('User-Agent', 'Googlebot/2.1');
+        const beacon = await request(app).post(`/api/articles/${other._id}/view`).set('User-Agent', 'reader-a');
+        expect(beacon.statusCode).toBe(202);
+        expect(beacon.body.data.counted).toBe(true);
+
+        const trending = await request(app).get('/api/articles/trending?window=1h');
+        expect(trending.statusCode).toBe(200);
+        expect(trending.body.data.articles.map(a => [a.title, a.views])).toEqual([['Test Article', 2], ['Other Article', 1]]);
+
+        const audio = await request(app).get('/api/articles/most-read?window=day&articleType=audio');
+        expect(audio.body.data.articles.map(a => a.title)).toEqual(['Other Article']);
+    });
+});
@@ -0,0 +1,138 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const app = require('../index');
+const Asset = require('../models/assetModel');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const User = require('../models/userModel');
+const storage = require('../utils/storage');
+
+// keep uploaded files in memory instead of writing them to disk
+const stored = new Map();
+storage.setStorage({
+    put: async ({ key, body }) => {
+        stored.set(key, body || true);
+        return `http://files.test/${key}`;
+    },
+    remove: async (key) => {
+        stored.delete(key);
+    },
+});
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    storage.setStorage(null);
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Asset Controller', () => {
+    let editorToken, png;
+
+    beforeAll(async () => {
+        png = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } }).png().toBuffer();
+    });
+
+    beforeEach(async () => {
+        await User.create({ name: 'editor', email: 'editor@example.com', password: 'password123', role: 'editor' });
+        const login = await request(app).post('/api/auth/login').send({ email: 'editor@example.com', password: 'password123' });
+        editorToken = `Bearer ${login.body.data.token}`;
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await Asset.deleteMany();
+        await User.deleteMany();
+        stored.clear();
+    });
+
+    test('POST /api/assets - Upload an image with its generated sizes', async () => {
+        const res = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .field('alt', 'Blue square')
+            .attach('file', png, { filename: 'Hero Image.png', contentType: 'image/png' });
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data.kind).toBe('image');
+        expect(res.body.data.width).toBe(1200);
+        expect(res.body.data.variants.map(variant => [variant.name, variant.width])).toEqual([
+            ['thumbnail', 150],
+            ['small', 480],
+            ['medium', 960],
+            ['large', 1200],
+        ]);
+        expect(stored.size).toBe(5);
+    });
+
+    test('POST /api/assets - Reject unsupported types and kinds the article type cannot use', async () => {
+        const pdf = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .attach('file', Buffer.from('%PDF-1.4'), { filename: 'doc.pdf', contentType: 'application/pdf' });
+        expect(pdf.statusCode).toBe(415);
+
+        const audio = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .field('articleType', 'video')
+            .attach('file', Buffer.from('ID3'), { filename: 'episode.mp3', contentType: 'audio/mpeg' });
+        expect(audio.statusCode).toBe(400);
+        expect(audio.body.message).toBe('A video article can only use image or video files');
+    });
+
+    test('POST /api/assets - Check the content and store files under the extension of their type', async () => {
+        const disguised = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .attach('file', Buffer.from('<html><script>alert(document.cookie)</script></html>'), { filename: 'evil.html', contentType: 'audio/mpeg' });
+        expect(disguised.statusCode).toBe(400);
+        expect(stored.size).toBe(0);
+
+        const renamed = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .attach('file', png, { filename: 'evil.html', contentType: 'image/png' });
+        expect(renamed.statusCode).toBe(201);
+        expect(renamed.body.data.key).toMatch(/-evil\.png$/);
+    });
+
+    test('Articles - Reference an image asset and keep it from being deleted', async () => {
+        const upload = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .attach('file', png, { filename: 'hero.png', contentType: 'image/png' });
+        const category = await Category.create({ categoryName: 'Assets' });
+        const author = await Author.create({ authorName: 'Asset Author' });
+
+        const created = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'With Asset',
+            imageAsset: upload.body.data._id,
+            category: category._id,
+            author: author._id,
+        });
+        expect(created.statusCode).toBe(201);
+        expect(created.body.data.articleImage).toBe(upload.body.data.url);
+
+        const removal = await request(app).delete(`/api/assets/${upload.body.data._id}`).set('Authorization', editorToken);
+        expect(removal.statusCode).toBe(409);
+    });
+
+    test('Articles - Return 400 for media of the wrong kind', async () => {
+        const upload = await request(app).post('/api/assets').set('Authorization', editorToken)
+            .attach('file', png, { filename: 'hero.png', contentType: 'image/png' });
+        const category = await Category.create({ categoryName: 'Assets' });
+        const author = await Author.create({ authorName: 'Asset Author' });
+
+        const res = await request(app).post('/api/articles').set('Authorization', editorToken).send({
+            title: 'Podcast',
+            articleImage: 'http://example.com/image.jpg',
+            articleType: 'audio',
+            mediaAsset: upload.body.data._id,
+            category: category._id,
+            author: author._id,
+        });
+        expect(res.statusCode).toBe(400);
+    });
+});
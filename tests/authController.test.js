@@ -2,6 +2,14 @@ const request = require('supertest');
 const app = require('../index');
 const mongoose = require('mongoose');
 const User = require('../models/userModel');
+const mailer = require('../utils/mailer');
+
+// capture outgoing mail instead of printing it
+const sentMail = [];
+mailer.setTransport(async (message) => sentMail.push(message));
+
+// pull the token out of the link in the last email sent
+const lastMailToken = () => decodeURIComponent(sentMail[sentMail.length - 1].text.match(/token=(\S+)/)[1]);
 
 beforeAll(async () => {
     // Connect to a test database
@@ -74,4 +82,108 @@ describe('Auth Controller', () => {
         expect(res.body.status).toBe(0);
         expect(res.body.message).toBe('Email already exists');
     });
+
+    describe('Sessions', () => {
+        let tokens;
+
+        beforeEach(async () => {
+            const res = await request(app).post('/api/auth/login').send({
+                email: 'testuser@example.com',
+                password: 'password123',
+                device: 'jest',
+            });
+            tokens = res.body.data;
+        });
+
+        test('POST /api/auth/refresh - Rotate the refresh token', async () => {
+            const res = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.token).toBeDefined();
+            expect(res.body.data.refreshToken).not.toBe(tokens.refreshToken);
+        });
+
+        test('POST /api/auth/refresh - Revoke the session when a rotated token is reused', async () => {
+            await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+            const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken });
+            expect(reused.statusCode).toBe(401);
+            expect(reused.body.message).toBe('Refresh token reuse detected, session revoked');
+
+            const res = await request(app).get('/api/auth/test-auth').set('Authorization', `Bearer ${tokens.token}`);
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('POST /api/auth/logout - Reject the access token afterwards', async () => {
+            const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${tokens.token}`);
+            expect(logout.statusCode).toBe(200);
+
+            const res = await request(app).get('/api/auth/test-auth').set('Authorization', `Bearer ${tokens.token}`);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.message).toBe('Session has been revoked');
+        });
+
+        test('POST /api/auth/logout-all - Revoke every device', async () => {
+            const other = await request(app).post('/api/auth/login').send({
+                email: 'testuser@example.com',
+                password: 'password123',
+            });
+            const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${tokens.token}`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.revokedSessions).toBe(2);
+
+            const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: other.body.data.refreshToken });
+            expect(refresh.statusCode).toBe(401);
+        });
+    });
+
+    describe('Email verification and password reset', () => {
+        test('POST /api/auth/verify-email - Verify with the emailed token, once', async () => {
+            await request(app).post('/api/auth/register').send({
+                name: 'verifyme',
+                email: 'verifyme@example.com',
+                password: 'password123',
+                confirmPassword: 'password123',
+            });
+            const token = lastMailToken();
+
+            const res = await request(app).post('/api/auth/verify-email').send({ token });
+            expect(res.statusCode).toBe(200);
+            expect((await User.findOne({ email: 'verifyme@example.com' })).emailVerified).toBe(true);
+
+            const again = await request(app).post('/api/auth/verify-email').send({ token });
+            expect(again.statusCode).toBe(400);
+        });
+
+        test('POST /api/auth/forgot-password - Same answer for unknown emails', async () => {
+            const before = sentMail.length;
+            const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+            expect(res.statusCode).toBe(200);
+            expect(sentMail.length).toBe(before);
+        });
+
+        test('POST /api/auth/reset-password - Reset with a single-use token', async () => {
+            await request(app).post('/api/auth/forgot-password').send({ email: 'testuser@example.com' });
+            const token = lastMailToken();
+
+            const res = await request(app).post('/api/auth/reset-password').send({
+                token,
+                password: 'newpassword',
+                confirmPassword: 'newpassword',
+            });
+            expect(res.statusCode).toBe(200);
+
+            const login = await request(app).post('/api/auth/login').send({
+                email: 'testuser@example.com',
+                password: 'newpassword',
+            });
+            expect(login.statusCode).toBe(200);
+
+            const reused = await request(app).post('/api/auth/reset-password').send({
+                token,
+                password: 'another123',
+                confirmPassword: 'another123',
+            });
+            expect(reused.statusCode).toBe(400);
+            expect(reused.body.message).toBe('Invalid or expired token');
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,143 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const User = require('../models/userModel');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Category Controller', () => {
+    let category, author, article, editorToken;
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Politics' });
+        author = await Author.create({ authorName: 'Test Author' });
+        article = await Article.create({
+            title: 'Test Article',
+            articleImage: 'http://example.com/image.jpg',
+            category: category._id,
+            author: author._id,
+            status: 'published',
+            publishDate: new Date(),
+        });
+
+        await User.create({ name: 'editor', email: 'editor@example.com', password: 'password123', role: 'editor' });
+        const login = await request(app).post('/api/auth/login').send({ email: 'editor@example.com', password: 'password123' });
+        editorToken = `Bearer ${login.body.data.token}`;
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany().withDeleted();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await User.deleteMany();
+    });
+
+    test('GET /api/categories - Page, search and sort with article counts', async () => {
+        await Category.create({ categoryName: 'World' });
+        await Category.create({ categoryName: 'Business' });
+        await Article.create({ title: 'Draft', articleImage: 'http://example.com/d.jpg', category: category._id, author: author._id });
+
+        const res = await request(app).get('/api/categories?sort=name&limit=2');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.categories.map(c => c.categoryName)).toEqual(['Business', 'Politics']);
+        expect(res.body.data.totalCount).toBe(3);
+        expect(res.body.data.hasNextPage).toBe(true);
+        // drafts are only counted for CMS users
+        expect(res.body.data.categories[1].articleCount).toBe(1);
+
+        const cms = await request(app).get('/api/categories?q=pol').set('Authorization', editorToken);
+        expect(cms.body.data.categories).toHaveLength(1);
+        expect(cms.body.data.categories[0].articleCount).toBe(2);
+    });
+
+    test('GET /api/categories - Return 400 for an unknown sort', async () => {
+        const res = await request(app).get('/api/categories?sort=popularity');
+        expect(res.statusCode).toBe(400);
+    });
+
+    test('Subcategories - Nest, prevent cycles and filter articles by subtree', async () => {
+        const sports = await Category.create({ categoryName: 'Sports' });
+        const cricket = await Category.create({ categoryName: 'Cricket', parent: sports._id });
+        await Article.create({
+            title: 'Cricket Article',
+            articleImage: 'http://example.com/c.jpg',
+            category: cricket._id,
+            author: author._id,
+            status: 'published',
+            publishDate: new Date(),
+        });
+
+        const tree = await request(app).get('/api/categories/tree');
+        const sportsNode = tree.body.data.tree.find(node => node.categoryName === 'Sports');
+        expect(sportsNode.children.map(node => node.categoryName)).toEqual(['Cricket']);
+
+        const cycle = await request(app).patch(`/api/categories/${sports._id}`).set('Authorization', editorToken).send({ parent: cricket._id });
+        expect(cycle.statusCode).toBe(400);
+        expect(cycle.body.message).toBe('A category cannot be nested under itself or one of its subcategories');
+
+        const direct = await request(app).get(`/api/articles?categoryId=${sports._id}`);
+        expect(direct.statusCode).toBe(404);
+        const nested = await request(app).get(`/api/articles?categoryId=${sports._id}&includeSubcategories=true`);
+        expect(nested.body.data.articles.map(a => a.title)).toEqual(['Cricket Article']);
+
+        const detail = await request(app).get(`/api/articles/${nested.body.data.articles[0].articleObjectId}`);
+        expect(detail.body.data.breadcrumbs.map(crumb => crumb.categoryName)).toEqual(['Sports', 'Cricket']);
+    });
+
+    test('DELETE /api/categories/:id - Block while articles are filed under it', async () => {
+        const res = await request(app).delete(`/api/categories/${category._id}`).set('Authorization', editorToken);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.data.articleCount).toBe(1);
+    });
+
+    test('DELETE /api/categories/:id - Reassign articles to another category', async () => {
+        const other = await Category.create({ categoryName: 'World' });
+        const res = await request(app)
+            .delete(`/api/categories/${category._id}`)
+            .query({ onArticles: 'reassign', reassignTo: other.categoryId })
+            .set('Authorization', editorToken);
+        expect(res.statusCode).toBe(200);
+        expect((await Article.findById(article._id)).category.toString()).toBe(other._id.toString());
+    });
+
+    test('DELETE /api/categories/:id - Cascade to the trash and restore together', async () => {
+        const res = await request(app)
+            .delete(`/api/categories/${category._id}`)
+            .query({ onArticles: 'cascade' })
+            .set('Authorization', editorToken);
+        expect(res.statusCode).toBe(200);
+
+        const listing = await request(app).get('/api/categories');
+        expect(listing.body.data.categories).toHaveLength(0);
+        expect(await Article.findById(article._id)).toBeNull();
+
+        const trash = await request(app).get('/api/categories/trash').set('Authorization', editorToken);
+        expect(trash.body.data.categories).toHaveLength(1);
+
+        const restored = await request(app)
+            .post(`/api/categories/${category._id}/restore`)
+            .query({ cascade: 'true' })
+            .set('Authorization', editorToken);
+        expect(restored.statusCode).toBe(200);
+        expect(restored.body.data.restoredArticles).toBe(1);
+        expect(await Article.findById(article._id)).not.toBeNull();
+    });
+});
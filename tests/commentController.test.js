@@ -0,0 +1,117 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Comment = require('../models/commentModel');
+const User = require('../models/userModel');
+const { loginAs } = require('./helpers');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Comment Controller', () => {
+    let article, readerToken, editorToken;
+
+    // post a comment on the test article
+    const comment = (token, body) => request(app).post(`/api/articles/${article._id}/comments`).set('Authorization', token).send(body);
+
+    beforeEach(async () => {
+        // Create test data
+        const category = await Category.create({ categoryName: 'Test Category' });
+        const author = await Author.create({ authorName: 'Test Author' });
+        article = await Article.create({
+            title: 'Test Article',
+            articleImage: 'http://example.com/image.jpg',
+            category: category._id,
+            author: author._id,
+            status: 'published',
+            publishDate: new Date(),
+        });
+        readerToken = await loginAs('reader');
+        editorToken = await loginAs('editor');
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Comment.deleteMany();
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await User.deleteMany();
+        delete process.env.BANNED_WORDS;
+    });
+
+    test('POST /api/articles/:id/comments - Hold reader comments until an editor approves them', async () => {
+        const posted = await comment(readerToken, { body: 'Great read!' });
+        expect(posted.statusCode).toBe(201);
+        expect(posted.body.data.status).toBe('pending');
+
+        let res = await request(app).get(`/api/articles/${article._id}/comments`);
+        expect(res.body.data.comments).toHaveLength(0);
+
+        const queue = await request(app).get('/api/comments/queue').set('Authorization', editorToken);
+        expect(queue.body.data.comments.map(c => c.body)).toEqual(['Great read!']);
+
+        const moderated = await request(app).post(`/api/comments/${posted.body.data._id}/moderate`)
+            .set('Authorization', editorToken).send({ status: 'approved' });
+        expect(moderated.statusCode).toBe(200);
+
+        res = await request(app).get(`/api/articles/${article._id}/comments`);
+        expect(res.body.data.comments.map(c => [c.body, c.user.name])).toEqual([['Great read!', 'reader']]);
+        expect(res.body.data.commentCount).toBe(1);
+
+        const listing = await request(app).get('/api/articles');
+        expect(listing.body.data.articles[0].commentCount).toBe(1);
+    });
+
+    test('POST /api/articles/:id/comments - Keep replies one level deep', async () => {
+        const top = await comment(editorToken, { body: 'First' });
+        const reply = await comment(editorToken, { body: 'Reply', parent: top.body.data._id });
+        const nested = await comment(editorToken, { body: 'Reply to reply', parent: reply.body.data._id });
+        expect(nested.body.data.parent).toBe(top.body.data._id);
+
+        const res = await request(app).get(`/api/articles/${article._id}/comments`);
+        expect(res.body.data.comments).toHaveLength(1);
+        expect(res.body.data.comments[0].replies.map(c => c.body)).toEqual(['Reply', 'Reply to reply']);
+        expect(res.body.data.commentCount).toBe(3);
+    });
+
+    test('POST /api/articles/:id/comments - Refuse banned words, unverified users and floods', async () => {
+        process.env.BANNED_WORDS = 'scam';
+        const banned = await comment(readerToken, { body: 'This is a SCAM' });
+        expect(banned.statusCode).toBe(400);
+
+        const unverified = await loginAs('reader', { emailVerified: false });
+        expect((await comment(unverified, { body: 'Hello' })).statusCode).toBe(403);
+
+        for (let i = 0; i < 5; i++) {
+            expect((await comment(readerToken, { body: `Comment ${i}` })).statusCode).toBe(201);
+        }
+        const flood = await comment(readerToken, { body: 'One more' });
+        expect(flood.statusCode).toBe(429);
+        expect(Number(flood.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('DELETE /api/comments/:id - Let commenters remove only their own comments', async () => {
+        const posted = await comment(readerToken, { body: 'Oops' });
+        const other = await loginAs('reader');
+
+        expect((await request(app).delete(`/api/comments/${posted.body.data._id}`).set('Authorization', other)).statusCode).toBe(403);
+        expect((await request(app).delete(`/api/comments/${posted.body.data._id}`).set('Authorization', readerToken)).statusCode).toBe(200);
+        expect((await Comment.findById(posted.body.data._id)).status).toBe('removed');
+    });
+});
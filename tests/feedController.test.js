@@ -0,0 +1,130 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Tag = require('../models/tagModel');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Feed Controller', () => {
+    let category, author;
+
+    // create an article in the given category, published unless told otherwise
+    const publish = (title, extra = {}) => Article.create({
+        title,
+        articleImage: 'http://example.com/image.jpg',
+        description: `About ${title}`,
+        category: category._id,
+        author: author._id,
+        status: 'published',
+        publishDate: new Date(),
+        ...extra,
+    });
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Technology' });
+        author = await Author.create({ authorName: 'Test Author' });
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await Tag.deleteMany();
+    });
+
+    test('GET /feeds/rss.xml - List published articles with cache headers', async () => {
+        await publish('Robots & <Rockets>');
+        await publish('Unfinished', { status: 'draft', publishDate: null });
+
+        const res = await request(app).get('/feeds/rss.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/rss\+xml/);
+        expect(res.headers['cache-control']).toBe('public, max-age=900');
+        expect(res.headers['last-modified']).toBeDefined();
+        expect(res.text).toContain('<title>Robots &amp; &lt;Rockets&gt;</title>');
+        expect(res.text).not.toContain('Unfinished');
+
+        const again = await request(app).get('/feeds/rss.xml').set('If-Modified-Since', res.headers['last-modified']);
+        expect(again.statusCode).toBe(304);
+    });
+
+    test('GET /feeds/atom.xml - Attach the media of audio articles', async () => {
+        await publish('Episode 1', { articleType: 'audio', mediaUrl: 'http://example.com/episode-1.mp3' });
+
+        const res = await request(app).get('/feeds/atom.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/atom\+xml/);
+        expect(res.text).toContain('<link rel="enclosure" href="http://example.com/episode-1.mp3" type="audio/mpeg" length="0"/>');
+    });
+
+    test('GET /feeds/category/:id/feed.json - Include subcategories', async () => {
+        const child = await Category.create({ categoryName: 'Gadgets', parent: category._id });
+        const other = await Category.create({ categoryName: 'Sports' });
+        await publish('Phones', { category: child._id });
+        await publish('Football', { category: other._id });
+
+        const res = await request(app).get(`/feeds/category/${category.slug}/feed.json`);
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/feed\+json/);
+        const feed = JSON.parse(res.text);
+        expect(feed.title).toMatch(/^Technology/);
+        expect(feed.items.map(item => item.title)).toEqual(['Phones']);
+    });
+
+    test('GET /feeds/tag/:id/rss.xml - Match any spelling of the tag', async () => {
+        await publish('Tagged', { tags: ['AI'] });
+        await publish('Untagged');
+
+        const res = await request(app).get('/feeds/tag/a.i./rss.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain('<title>Tagged</title>');
+        expect(res.text).not.toContain('<title>Untagged</title>');
+    });
+
+    test('GET /feeds/author/:id/rss.xml - Return 404 for an unknown author', async () => {
+        const res = await request(app).get(`/feeds/author/${new mongoose.Types.ObjectId()}/rss.xml`);
+        expect(res.statusCode).toBe(404);
+        expect(res.body.message).toBe('Author not found');
+    });
+
+    test('GET /feeds/category/:id/podcast.xml - Publish audio episodes with the category\'s podcast settings', async () => {
+        category.podcast = { title: 'Tech Talk', image: 'http://example.com/cover.jpg', itunesCategory: 'Technology', explicit: false };
+        await category.save();
+        await publish('Episode 1', {
+            articleType: 'audio',
+            mediaUrl: 'http://example.com/episode-1.mp3',
+            mediaDuration: 1800,
+            mediaSize: 28800000,
+            mediaType: 'audio/mpeg',
+        });
+        await publish('Not an episode');
+
+        const res = await request(app).get(`/feeds/category/${category._id}/podcast.xml`);
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain('xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"');
+        expect(res.text).toContain('<title>Tech Talk</title>');
+        expect(res.text).toContain('<itunes:image href="http://example.com/cover.jpg"/>');
+        expect(res.text).toContain('<itunes:category text="Technology"/>');
+        expect(res.text).toContain('<enclosure url="http://example.com/episode-1.mp3" type="audio/mpeg" length="28800000"/>');
+        expect(res.text).toContain('<itunes:duration>1800</itunes:duration>');
+        expect(res.text).not.toContain('Not an episode');
+    });
+});
@@ -0,0 +1,16 @@
+// fixtures shared by the controller tests
+const request = require('supertest');
+const app = require('../index');
+const User = require('../models/userModel');
+
+// create a verified user with the given role and log them in to get a bearer token
+const loginAs = async (role, extra = {}) => {
+    const email = `${role}-${Date.now()}-${Math.floor(Math.random() * 1000)}@example.com`;
+    await User.create({ name: role, email, password: 'password123', role, emailVerified: true, ...extra });
+    const res = await request(app).post('/api/auth/login').send({ email, password: 'password123' });
+    return `Bearer ${res.body.data.token}`;
+};
+
+module.exports = {
+    loginAs
+};
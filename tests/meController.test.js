@@ -0,0 +1,126 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Bookmark = require('../models/bookmarkModel');
+const ReadingHistory = require('../models/readingHistoryModel');
+const Follow = require('../models/followModel');
+const User = require('../models/userModel');
+const { loginAs } = require('./helpers');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Me Controller', () => {
+    let category, author, token;
+
+    // create an article, published unless told otherwise
+    const publish = (title, extra = {}) => Article.create({
+        title,
+        articleImage: 'http://example.com/image.jpg',
+        category: category._id,
+        author: author._id,
+        status: 'published',
+        publishDate: new Date(),
+        ...extra,
+    });
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Technology' });
+        author = await Author.create({ authorName: 'Test Author' });
+        token = await loginAs('reader');
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Bookmark.deleteMany();
+        await ReadingHistory.deleteMany();
+        await Follow.deleteMany();
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await User.deleteMany();
+    });
+
+    test('PUT /api/me/bookmarks/:id - Bookmark published articles once', async () => {
+        const article = await publish('Saved');
+        const draft = await publish('Unfinished', { status: 'draft', publishDate: null });
+
+        const first = await request(app).put(`/api/me/bookmarks/${article._id}`).set('Authorization', token);
+        expect(first.statusCode).toBe(201);
+        const again = await request(app).put(`/api/me/bookmarks/${article._id}`).set('Authorization', token);
+        expect(again.statusCode).toBe(200);
+        expect((await request(app).put(`/api/me/bookmarks/${draft._id}`).set('Authorization', token)).statusCode).toBe(404);
+
+        const res = await request(app).get('/api/me/bookmarks').set('Authorization', token);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles.map(a => a.title)).toEqual(['Saved']);
+        expect(res.body.data.articles[0].bookmarkedAt).toBeDefined();
+
+        expect((await request(app).delete(`/api/me/bookmarks/${article._id}`).set('Authorization', token)).statusCode).toBe(200);
+        expect((await request(app).delete(`/api/me/bookmarks/${article._id}`).set('Authorization', token)).statusCode).toBe(404);
+    });
+
+    test('GET /api/me/history - List read articles, most recent first', async () => {
+        const first = await publish('First');
+        const second = await publish('Second');
+
+        await request(app).get(`/api/articles/${first._id}`).set('Authorization', token);
+        await request(app).get(`/api/articles/${second._id}`).set('Authorization', token);
+        await request(app).get(`/api/articles/${first._id}`).set('Authorization', token);
+
+        let res = await request(app).get('/api/me/history').set('Authorization', token);
+        expect(res.body.data.articles.map(a => [a.title, a.readCount])).toEqual([['First', 2], ['Second', 1]]);
+
+        await request(app).delete('/api/me/history').set('Authorization', token);
+        res = await request(app).get('/api/me/history').set('Authorization', token);
+        expect(res.body.data.articles).toHaveLength(0);
+    });
+
+    test('GET /api/me/feed - Combine followed authors and categories, subcategories included', async () => {
+        const gadgets = await Category.create({ categoryName: 'Gadgets', parent: category._id });
+        const sports = await Category.create({ categoryName: 'Sports' });
+        const other = await Author.create({ authorName: 'Other Author' });
+        await publish('Phones', { category: gadgets._id, author: other._id });
+        await publish('Football', { category: sports._id });
+        await publish('Tennis', { category: sports._id, author: other._id });
+
+        let res = await request(app).get('/api/me/feed').set('Authorization', token);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles).toHaveLength(0);
+
+        expect((await request(app).put('/api/me/follows/categories/technology').set('Authorization', token)).statusCode).toBe(201);
+        expect((await request(app).put(`/api/me/follows/authors/${author._id}`).set('Authorization', token)).statusCode).toBe(201);
+        expect((await request(app).put('/api/me/follows/authors/nobody').set('Authorization', token)).statusCode).toBe(404);
+
+        res = await request(app).get('/api/me/feed').set('Authorization', token);
+        expect(res.body.data.articles.map(a => a.title).sort()).toEqual(['Football', 'Phones']);
+
+        const follows = await request(app).get('/api/me/follows').set('Authorization', token);
+        expect(follows.body.data.authors.map(a => a.authorName)).toEqual(['Test Author']);
+        expect(follows.body.data.categories.map(c => c.categoryName)).toEqual(['Technology']);
+
+        expect((await request(app).delete(`/api/me/follows/authors/${author._id}`).set('Authorization', token)).statusCode).toBe(200);
+        res = await request(app).get('/api/me/feed').set('Authorization', token);
+        expect(res.body.data.articles.map(a => a.title)).toEqual(['Phones']);
+    });
+
+    test('GET /api/me/bookmarks - Require a signed in user', async () => {
+        expect((await request(app).get('/api/me/bookmarks')).statusCode).toBe(401);
+    });
+});
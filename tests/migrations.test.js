@@ -0,0 +1,69 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const { runMigrations } = require('../migrations');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Migrations', () => {
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+    });
+
+    test('001-article-status - Publish articles saved before the workflow existed', async () => {
+        const category = await Category.create({ categoryName: 'Legacy' });
+        const author = await Author.create({ authorName: 'Legacy Author' });
+        const createdAt = new Date('2024-01-02T03:04:05Z');
+        // written straight to the collection, the way the old schema left them
+        await Article.collection.insertOne({
+            title: 'Old Article',
+            articleImage: 'http://example.com/old.jpg',
+            category: category._id,
+            author: author._id,
+            createdAt,
+            updatedAt: createdAt,
+        });
+        expect((await request(app).get('/api/articles')).statusCode).toBe(404);
+
+        await runMigrations();
+        await runMigrations();
+
+        const res = await request(app).get('/api/articles');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles.map(a => [a.title, a.publishDate])).toEqual([['Old Article', createdAt.toISOString()]]);
+    });
+
+    test('002-category-name-index - Let the name of a trashed category be reused', async () => {
+        await Category.collection.dropIndexes().catch(() => {});
+        await Category.collection.createIndex({ categoryName: 1 }, { unique: true });
+
+        await runMigrations();
+
+        const names = (await Category.collection.indexes()).map(index => index.name);
+        expect(names).not.toContain('categoryName_1');
+        expect(names).toContain('categoryName_active_unique');
+
+        const trashed = await Category.create({ categoryName: 'Reused' });
+        await trashed.softDelete();
+        await expect(Category.create({ categoryName: 'Reused' })).resolves.toBeDefined();
+    });
+});
@@ -0,0 +1,113 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Reaction = require('../models/reactionModel');
+const User = require('../models/userModel');
+const { loginAs } = require('./helpers');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Reaction Controller', () => {
+    let category, author, article, token;
+
+    // create an article, published unless told otherwise
+    const publish = (title, extra = {}) => Article.create({
+        title,
+        articleImage: 'http://example.com/image.jpg',
+        category: category._id,
+        author: author._id,
+        status: 'published',
+        publishDate: new Date(),
+        ...extra,
+    });
+
+    // react to an article
+    const react = (userToken, type, target = article) => request(app).post(`/api/articles/${target._id}/reactions`)
+        .set('Authorization', userToken).send({ type });
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Test Category' });
+        author = await Author.create({ authorName: 'Test Author' });
+        article = await publish('Test Article');
+        token = await loginAs('reader');
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Reaction.deleteMany();
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await User.deleteMany();
+    });
+
+    test('POST /api/articles/:id/reactions - Keep one reaction per reader and toggle it', async () => {
+        let res = await react(token, 'like');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.reaction).toBe('like');
+        expect(res.body.data.reactionCounts).toMatchObject({ like: 1, total: 1 });
+
+        res = await react(token, 'insightful');
+        expect(res.body.data.reactionCounts).toMatchObject({ like: 0, insightful: 1, total: 1 });
+
+        res = await react(token, 'insightful');
+        expect(res.body.data.reaction).toBeNull();
+        expect(res.body.data.reactionCounts.total).toBe(0);
+        expect(await Reaction.countDocuments()).toBe(0);
+
+        expect((await react(token, 'meh')).statusCode).toBe(400);
+    });
+
+    test('GET /api/articles/:id - Show the reaction counts and the reader\'s own reaction', async () => {
+        await react(token, 'like');
+        await react(await loginAs('reader'), 'like');
+
+        let res = await request(app).get(`/api/articles/${article._id}`).set('Authorization', token);
+        expect(res.body.data.reactionCounts).toMatchObject({ like: 2, total: 2 });
+        expect(res.body.data.myReaction).toBe('like');
+
+        await request(app).delete(`/api/articles/${article._id}/reactions`).set('Authorization', token);
+        res = await request(app).get(`/api/articles/${article._id}`);
+        expect(res.body.data.reactionCounts.like).toBe(1);
+        expect(res.body.data.myReaction).toBeNull();
+    });
+
+    test('GET /api/articles?sort=mostLiked - List the most liked articles first', async () => {
+        const popular = await publish('Popular');
+        await publish('Quiet');
+        await react(token, 'like', popular);
+        await react(await loginAs('reader'), 'like', popular);
+        await react(token, 'like');
+
+        const res = await request(app).get('/api/articles?sort=mostLiked');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articles.map(a => [a.title, a.reactionCounts.like])).toEqual([
+            ['Popular', 2],
+            ['Test Article', 1],
+            ['Quiet', 0],
+        ]);
+    });
+
+    test('POST /api/articles/:id/reactions - Refuse unpublished articles and anonymous readers', async () => {
+        const draft = await publish('Unfinished', { status: 'draft', publishDate: null });
+        expect((await react(token, 'like', draft)).statusCode).toBe(404);
+        expect((await request(app).post(`/api/articles/${article._id}/reactions`).send({ type: 'like' })).statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,94 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Sitemap Controller', () => {
+    let category, author;
+
+    // create an article, published unless told otherwise
+    const publish = (title, extra = {}) => Article.create({
+        title,
+        articleImage: 'http://example.com/image.jpg',
+        category: category._id,
+        author: author._id,
+        status: 'published',
+        publishDate: new Date(),
+        ...extra,
+    });
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Technology' });
+        author = await Author.create({ authorName: 'Test Author' });
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+    });
+
+    test('GET /sitemap.xml - List published articles, categories and authors', async () => {
+        await publish('Robots');
+        await publish('Unfinished', { status: 'draft', publishDate: null });
+
+        const res = await request(app).get('/sitemap.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/xml/);
+        expect(res.headers['cache-control']).toBe('public, max-age=3600');
+        expect(res.text).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+        expect(res.text).toContain('/articles/robots</loc><lastmod>');
+        expect(res.text).toContain('/categories/technology</loc>');
+        expect(res.text).toContain('/authors/test-author</loc>');
+        expect(res.text).not.toContain('unfinished');
+    });
+
+    test('GET /sitemaps/news.xml - Only list articles from the last 48 hours', async () => {
+        await publish('Breaking');
+        await publish('Old News', { publishDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) });
+
+        const res = await request(app).get('/sitemaps/news.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain('xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"');
+        expect(res.text).toContain('<news:title>Breaking</news:title>');
+        expect(res.text).not.toContain('Old News');
+    });
+
+    test('GET /sitemaps/:section-:page.xml - Serve a numbered sitemap and reject unknown ones', async () => {
+        await publish('Robots');
+
+        const res = await request(app).get('/sitemaps/articles-1.xml');
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain('/articles/robots</loc>');
+
+        expect((await request(app).get('/sitemaps/articles-2.xml')).statusCode).toBe(404);
+        expect((await request(app).get('/sitemaps/users-1.xml')).statusCode).toBe(400);
+    });
+
+    test('GET /robots.txt - Point crawlers at the sitemap and the news sitemap', async () => {
+        const res = await request(app).get('/robots.txt');
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/plain/);
+        expect(res.text).toMatch(/^Sitemap: http:\/\/[^/]+\/sitemap\.xml$/m);
+        expect(res.text).toMatch(/^Sitemap: http:\/\/[^/]+\/sitemaps\/news\.xml$/m);
+    });
+});
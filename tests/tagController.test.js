@@ -0,0 +1,119 @@
+require('dotenv').config({ path: '.env.test' });
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index');
+const Article = require('../models/articleModel');
+const Category = require('../models/categoryModel');
+const Author = require('../models/authorModel');
+const Tag = require('../models/tagModel');
+const User = require('../models/userModel');
+
+beforeAll(async () => {
+    // Disconnect the default connection
+    await mongoose.disconnect();
+
+    // Connect to the test database
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+});
+
+afterAll(async () => {
+    // Clean up and disconnect
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.disconnect();
+});
+
+describe('Tag Controller', () => {
+    let category, author, adminToken;
+
+    // create a published article with the given tags
+    const publish = (title, tags) => Article.create({
+        title,
+        articleImage: 'http://example.com/image.jpg',
+        category: category._id,
+        author: author._id,
+        tags,
+        status: 'published',
+        publishDate: new Date(),
+    });
+
+    beforeEach(async () => {
+        // Create test data
+        category = await Category.create({ categoryName: 'Technology' });
+        author = await Author.create({ authorName: 'Test Author' });
+
+        await User.create({ name: 'admin', email: 'admin@example.com', password: 'password123', role: 'admin' });
+        const login = await request(app).post('/api/auth/login').send({ email: 'admin@example.com', password: 'password123' });
+        adminToken = `Bearer ${login.body.data.token}`;
+    });
+
+    afterEach(async () => {
+        // Clean up test data
+        await Article.deleteMany();
+        await Category.deleteMany();
+        await Author.deleteMany();
+        await Tag.deleteMany();
+        await User.deleteMany();
+    });
+
+    test('Articles - Store every spelling of a tag under one name', async () => {
+        await publish('First', ['AI', 'Robots']);
+        const second = await publish('Second', ['a.i.', 'ai']);
+        expect(second.tags).toEqual(['AI']);
+
+        const res = await request(app).get('/api/articles?tag=A.I.');
+        expect(res.body.data.articles).toHaveLength(2);
+    });
+
+    test('GET /api/tags - Autocomplete with article counts', async () => {
+        await publish('First', ['Machine Learning', 'Machines']);
+        await publish('Second', ['machine learning']);
+        await publish('Third', ['Markets']);
+
+        const res = await request(app).get('/api/tags?q=mach');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.tags.map(tag => [tag.name, tag.articleCount])).toEqual([
+            ['Machine Learning', 2],
+            ['Machines', 1],
+        ]);
+    });
+
+    test('GET /api/tags/popular - Weigh the most used tags', async () => {
+        await publish('First', ['News', 'Tech']);
+        await publish('Second', ['News']);
+
+        const res = await request(app).get('/api/tags/popular');
+        expect(res.body.data.tags.map(tag => [tag.name, tag.weight])).toEqual([['News', 5], ['Tech', 1]]);
+    });
+
+    test('PATCH /api/tags/:id - Rename a tag in its articles', async () => {
+        const article = await publish('First', ['JS']);
+
+        const res = await request(app).patch('/api/tags/js').set('Authorization', adminToken).send({ name: 'JavaScript' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.articleCount).toBe(1);
+        expect((await Article.findById(article._id)).tags).toEqual(['JavaScript']);
+
+        // the old spelling keeps resolving to the renamed tag
+        const again = await publish('Second', ['js']);
+        expect(again.tags).toEqual(['JavaScript']);
+    });
+
+    test('POST /api/tags/:id/merge - Merge a tag into another', async () => {
+        const both = await publish('First', ['Artificial Intelligence', 'AI']);
+        const one = await publish('Second', ['AI']);
+
+        const res = await request(app).post('/api/tags/ai/merge').set('Authorization', adminToken).send({ into: 'artificial intelligence' });
+        expect(res.statusCode).toBe(200);
+        expect((await Article.findById(both._id)).tags).toEqual(['Artificial Intelligence']);
+        expect((await Article.findById(one._id)).tags).toEqual(['Artificial Intelligence']);
+        expect(await Tag.exists({ key: 'ai' })).toBeNull();
+    });
+
+    test('POST /api/tags/:id/merge - Return 403 for editors', async () => {
+        await User.create({ name: 'editor', email: 'editor@example.com', password: 'password123', role: 'editor' });
+        const login = await request(app).post('/api/auth/login').send({ email: 'editor@example.com', password: 'password123' });
+
+        const res = await request(app).post('/api/tags/ai/merge').set('Authorization', `Bearer ${login.body.data.token}`).send({ into: 'news' });
+        expect(res.statusCode).toBe(403);
+    });
+});
@@ -0,0 +1,56 @@
+const Article = require('../models/articleModel');
+const ArticleRevision = require('../models/articleRevisionModel');
+const { etagFor, versionConflict, conflictResponse } = require('./etag');
+
+/**
+ * Applies changes to the article in `req.params.id` and records the result as a revision.
+ * Shared by PUT, PATCH and revision restores so they handle conflicts the same way: a stale
+ * If-Match answers 412, a stale `version` or a concurrent save (VersionError) 409, both with the latest version.
+ *
+ * @async
+ * @function saveArticleChanges
+ * @param {Object} req - The request object, with the article ID in `req.params.id`.
+ * @param {Object} res - The response object; error responses are sent here.
+ * @param {Object|Function} changes - The fields to set, or a function applying the changes to the loaded article.
+ * @param {Object} [revision] - The `action` and `restoredFrom` of the revision to record (optional).
+ * @returns {Promise<?{article: Object, revision: Object}>} The saved article and its revision, or null once an error response was sent.
+ */
+const saveArticleChanges = async (req, res, changes, revision = {}) => {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+        res.status(404).json({ status: 0, message: 'Article not found' });
+        return null;
+    }
+    const conflict = versionConflict(req, article);
+    if (conflict) {
+        res.status(conflict).json(conflictResponse(article));
+        return null;
+    }
+
+    if (typeof changes === 'function') changes(article);
+    else article.set(changes);
+    try {
+        // optimisticConcurrency makes save fail if someone saved in between
+        await article.save();
+    } catch (error) {
+        if (error.name === 'VersionError') {
+            const latest = await Article.findById(req.params.id);
+            res.status(409).json(conflictResponse(latest || article));
+            return null;
+        }
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            res.status(400).json({ status: 0, message: error.message });
+            return null;
+        }
+        throw error;
+    }
+
+    // keep the previous versions around
+    const recorded = await ArticleRevision.record(article, { ...revision, userId: req.user.id });
+    res.set('ETag', etagFor(article));
+    return { article, revision: recorded };
+};
+
+module.exports = {
+    saveArticleChanges
+};
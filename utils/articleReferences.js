@@ -0,0 +1,150 @@
+const Article = require('../models/articleModel');
+const { contributedByFilter } = require('./contributors');
+
+// what to do with the articles of an author or category that is being deleted
+const ON_ARTICLES_POLICIES = ['block', 'reassign', 'cascade'];
+
+// the articles referencing an author or category; an author is also referenced from the bylines
+const referencing = (field, id) => (field === 'author' ? contributedByFilter([id]) : { [field]: id });
+
+// takes an author off the bylines of the articles that stay, remembering each credit and its position
+// under the same `deletedAt` so a cascade restore can put it back
+const removeCredits = async (id, deletedAt) => {
+    const articles = await Article.find({ 'contributors.author': id }).select('contributors');
+    await Promise.all(articles.map((article) => {
+        const removed = article.contributors
+            .map(({ author, role }, position) => ({ author, role, position, deletedAt }))
+            .filter(({ author }) => author.equals(id));
+        return Article.updateOne({ _id: article._id }, {
+            $pull: { contributors: { author: id } },
+            $push: { removedCredits: { $each: removed } }
+        });
+    }));
+};
+
+// puts the credits removed by removeCredits back at their old positions, also on articles trashed since
+const restoreCredits = async (id, deletedAt) => {
+    const articles = await Article.find({ removedCredits: { $elemMatch: { author: id, deletedAt } } })
+        .select('contributors +removedCredits')
+        .withDeleted();
+    await Promise.all(articles.map((article) => {
+        const contributors = article.contributors.map(({ author, role }) => ({ author, role }));
+        article.removedCredits
+            .filter(credit => credit.author.equals(id) && credit.deletedAt.getTime() === deletedAt.getTime())
+            .sort((a, b) => a.position - b.position)
+            .forEach(({ author, role, position }) => {
+                if (!contributors.some(c => c.author.equals(author) && c.role === role)) {
+                    contributors.splice(Math.min(position, contributors.length), 0, { author, role });
+                }
+            });
+        return Article.updateOne({ _id: article._id }, {
+            contributors,
+            $pull: { removedCredits: { author: id, deletedAt } }
+        }).withDeleted();
+    }));
+};
+
+// points the bylines crediting an author at another one; where the other one already has the same role
+// the old credit is dropped instead, nobody is credited twice in the same role
+const reassignCredits = async (id, reassignTo) => {
+    const articles = await Article.find({ 'contributors.author': id }).select('contributors');
+    await Promise.all(articles.map((article) => {
+        const credited = new Set(article.contributors.filter(c => c.author.equals(reassignTo)).map(c => c.role));
+        const contributors = article.contributors
+            .filter(({ author, role }) => !(author.equals(id) && credited.has(role)))
+            .map(({ author, role }) => ({ author: author.equals(id) ? reassignTo : author, role }));
+        return Article.updateOne({ _id: article._id }, { contributors });
+    }));
+};
+
+/**
+ * Applies the `onArticles` policy to the articles still pointing at an author or category
+ * that is about to be moved to the trash.
+ *
+ * - block: refuse while any article references it (the default)
+ * - reassign: point the articles at `reassignTo` instead
+ * - cascade: move the articles to the trash as well, stamped with the same `deletedAt`
+ *   so restoring with `cascade=true` can bring exactly those back
+ *
+ * An author is also referenced by the bylines of the articles they contributed to. Those count for
+ * block, are pointed at `reassignTo` on reassign, and on cascade the author is taken off the bylines
+ * of the articles that stay, as only the articles they are the primary author of go to the trash.
+ * Those credits are kept aside and come back when the author is restored with `cascade=true`.
+ *
+ * @async
+ * @function applyArticlePolicy
+ * @param {Object} options - The options.
+ * @param {string} options.field - The article field holding the reference ("author" or "category").
+ * @param {mongoose.Types.ObjectId} options.id - The ObjectId being deleted.
+ * @param {string} [options.onArticles="block"] - The policy to apply.
+ * @param {mongoose.Types.ObjectId} [options.reassignTo] - The replacement ObjectId for the reassign policy.
+ * @param {Date} options.deletedAt - The deletion timestamp used for the cascade policy.
+ * @param {string} [options.userId] - The ID of the user deleting, recorded on cascaded articles.
+ * @returns {Promise<{articleCount: number, blocked: boolean}>} How many articles were affected, and whether deletion must be refused.
+ */
+const applyArticlePolicy = async ({ field, id, onArticles = 'block', reassignTo, deletedAt, userId }) => {
+    const articleCount = await Article.countDocuments(referencing(field, id));
+    if (articleCount === 0) return { articleCount, blocked: false };
+
+    if (onArticles === 'reassign') {
+        await Article.updateMany({ [field]: id }, { [field]: reassignTo });
+        if (field === 'author') await reassignCredits(id, reassignTo);
+    } else if (onArticles === 'cascade') {
+        await Article.updateMany({ [field]: id }, { deletedAt, deletedBy: userId || null });
+        if (field === 'author') await removeCredits(id, deletedAt);
+    } else {
+        return { articleCount, blocked: true };
+    }
+
+    return { articleCount, blocked: false };
+};
+
+// bring back the articles that were cascaded into the trash together with an author or category,
+// and the bylines the author was taken off
+const restoreCascadedArticles = async (field, id, deletedAt) => {
+    const result = await Article.updateMany(
+        { [field]: id, deletedAt },
+        { deletedAt: null, deletedBy: null }
+    );
+    if (field === 'author') await restoreCredits(id, deletedAt);
+    return result.modifiedCount;
+};
+
+// articles (trashed ones included) still pointing at an author or category
+const countAllArticleReferences = (field, id) => Article.countDocuments(referencing(field, id)).withDeleted();
+
+/**
+ * Counts the articles of several authors, categories or tags in a single aggregation,
+ * for listings that show a count next to each row. An author counts every article they are
+ * credited on, as with the author pages.
+ *
+ * @async
+ * @function countArticlesBy
+ * @param {string} field - The article field holding the reference ("author", "category" or "tags").
+ * @param {Array<mongoose.Types.ObjectId|string>} ids - The ObjectIds (or tag names) to count articles for.
+ * @param {Object} [filter={}] - Extra conditions on the articles, e.g. only published ones.
+ * @returns {Promise<Map<string, number>>} The article count per ObjectId string (or tag name); ids without articles are absent.
+ */
+const countArticlesBy = async (field, ids, filter = {}) => {
+    if (ids.length === 0) return new Map();
+    const counted = field === 'author'
+        ? { $setUnion: [['$author'], { $ifNull: ['$contributors.author', []] }] }
+        : `$${field}`;
+    const counts = await Article.aggregate([
+        { $match: { $and: [filter, field === 'author' ? contributedByFilter(ids) : { [field]: { $in: ids } }] } },
+        // an article counts once for each of its tags and each author credited on it; single references pass through unchanged
+        { $project: { counted } },
+        { $unwind: '$counted' },
+        { $match: { counted: { $in: ids } } },
+        { $group: { _id: '$counted', count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+module.exports = {
+    ON_ARTICLES_POLICIES,
+    applyArticlePolicy,
+    restoreCascadedArticles,
+    countAllArticleReferences,
+    countArticlesBy
+};
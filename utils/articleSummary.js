@@ -0,0 +1,70 @@
+const Comment = require('../models/commentModel');
+const { reactionTotals } = require('./reactions');
+
+// numeric article types used by the frontend
+const ARTICLE_TYPE_CODES = { text: 1, audio: 2, video: 3 };
+
+// the article fields the summary needs, for select and populate
+const SUMMARY_FIELDS = 'title subtitle slug articleImage articleType category tags author contributors publishDate reactionCounts';
+
+// the same fields as an aggregation $project, for the listings built by a pipeline
+const SUMMARY_PROJECTION = Object.fromEntries(SUMMARY_FIELDS.split(' ').map(field => [field, 1]));
+
+// the references the summary shows, for populate
+const SUMMARY_POPULATE = ['author', 'category', 'contributors.author'];
+
+// the byline of a summary; articles saved before contributors existed only have their author
+const formatContributors = (article) => {
+    const contributors = article.contributors?.length ? article.contributors : [{ author: article.author, role: 'author' }];
+    return contributors
+        // authors in the trash are left out
+        .filter(({ author }) => author?.authorName)
+        .map(({ author, role }) => ({
+            authorId: author.authorId || null,
+            authorObjectId: author._id,
+            authorName: author.authorName,
+            role,
+        }));
+};
+
+// compact article shape used by the listings, expects SUMMARY_POPULATE populated
+const formatArticleSummary = (article) => ({
+    title: article.title,
+    hero: article.articleImage,
+    categoryId: article.category?.categoryId || null,
+    categoryObjectId: article.category?._id || null,
+    authorId: article.author?.authorId || null,
+    authorObjectId: article.author?._id || null,
+    contributors: formatContributors(article),
+    articleObjectId: article._id.toString(),
+    slug: article.slug || null,
+    articleType: ARTICLE_TYPE_CODES[article.articleType] || 3,
+    tags: article.tags || [],
+    publishDate: article.publishDate || null,
+    reactionCounts: reactionTotals(article.reactionCounts),
+});
+
+/**
+ * Formats a page of articles for the listings, each with its approved `commentCount`.
+ *
+ * @async
+ * @function summarizeArticles
+ * @param {Array<Object>} articles - The articles, with SUMMARY_POPULATE populated.
+ * @returns {Promise<Array<Object>>} The summaries, in the same order.
+ */
+const summarizeArticles = async (articles) => {
+    const commentCounts = await Comment.countsFor(articles.map(article => article._id));
+    return articles.map(article => ({
+        ...formatArticleSummary(article),
+        commentCount: commentCounts.get(String(article._id)) || 0,
+    }));
+};
+
+module.exports = {
+    ARTICLE_TYPE_CODES,
+    SUMMARY_FIELDS,
+    SUMMARY_PROJECTION,
+    SUMMARY_POPULATE,
+    formatArticleSummary,
+    summarizeArticles
+};
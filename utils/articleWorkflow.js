@@ -0,0 +1,51 @@
+const { EDITOR_ROLES } = require('./roles');
+const { contributedByFilter } = require('./contributors');
+
+// statuses an article moves through from first draft to the archive
+const ARTICLE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// workflow actions: which statuses each one may start from and where it leads
+const TRANSITIONS = {
+    submit: { from: ['draft'], to: 'in_review', message: 'Article submitted for review' },
+    approve: { from: ['in_review', 'scheduled'], to: 'published', message: 'Article published' },
+    reject: { from: ['in_review'], to: 'draft', message: 'Article sent back to draft' },
+    schedule: { from: ['in_review', 'scheduled'], to: 'scheduled', message: 'Article scheduled' },
+    archive: { from: ['draft', 'in_review', 'scheduled', 'published'], to: 'archived', message: 'Article archived' },
+};
+
+/**
+ * Builds the query conditions for articles that are publicly visible at the given time.
+ * Scheduled articles count as published once their publishDate has passed, so nothing
+ * needs to flip their status when the time comes.
+ *
+ * @function publishedFilter
+ * @param {Date} [now=new Date()] - The point in time to check against.
+ * @returns {Object} Mongo query conditions.
+ */
+const publishedFilter = (now = new Date()) => ({
+    status: { $in: ['published', 'scheduled'] },
+    publishDate: { $lte: now },
+});
+
+/**
+ * Builds the query conditions for the articles a user can read. Editors and admins read every article,
+ * authors the published ones and the ones they are credited on, everyone else only the published ones.
+ *
+ * @function visibleFilter
+ * @param {Object} [user] - The signed in user, if any.
+ * @returns {Object} Mongo query conditions.
+ */
+const visibleFilter = (user) => {
+    if (EDITOR_ROLES.includes(user?.role)) return {};
+    if (user?.role === 'author' && user.author) {
+        return { $or: [publishedFilter(), contributedByFilter([user.author])] };
+    }
+    return publishedFilter();
+};
+
+module.exports = {
+    ARTICLE_STATUSES,
+    TRANSITIONS,
+    publishedFilter,
+    visibleFilter
+};
@@ -0,0 +1,187 @@
+const sanitizeHtml = require('sanitize-html');
+const { escapeHtml } = require('./text');
+
+// the kinds of block an article body is made of
+const BLOCK_TYPES = ['paragraph', 'heading', 'image', 'quote', 'embed', 'code', 'timestamp'];
+
+// average reading speed used for the reading time
+const WORDS_PER_MINUTE = 200;
+
+// inline markup allowed in paragraphs and quotes, everything else is stripped
+const INLINE_HTML = {
+    allowedTags: ['b', 'strong', 'i', 'em', 'u', 's', 'a', 'code', 'br', 'sup', 'sub', 'mark'],
+    allowedAttributes: { a: ['href', 'title'] },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer' })
+    }
+};
+
+// embeddable providers: each turns a public URL into the URL of its player, or null if it doesn't match
+const EMBED_PROVIDERS = {
+    youtube: (url) => {
+        const id = url.hostname === 'youtu.be'
+            ? url.pathname.slice(1)
+            : /(^|\.)youtube\.com$/.test(url.hostname) && (url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/)?.[1]);
+        return id && /^[\w-]{6,20}$/.test(id) ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+    },
+    vimeo: (url) => {
+        const id = /(^|\.)vimeo\.com$/.test(url.hostname) && url.pathname.match(/^\/(\d+)/)?.[1];
+        return id ? `https://player.vimeo.com/video/${id}` : null;
+    },
+    spotify: (url) => {
+        const match = url.hostname === 'open.spotify.com' && url.pathname.match(/^\/(track|episode|show|album|playlist)\/(\w+)/);
+        return match ? `https://open.spotify.com/embed/${match[1]}/${match[2]}` : null;
+    },
+    soundcloud: (url) => (/(^|\.)soundcloud\.com$/.test(url.hostname) && url.pathname.length > 1
+        ? `https://w.soundcloud.com/player/?url=${encodeURIComponent(url.href)}`
+        : null)
+};
+
+/**
+ * Finds the player URL for an embed block.
+ *
+ * @function embedSource
+ * @param {string} value - The URL of the content to embed.
+ * @returns {{provider: string, src: string}|null} The provider and its player URL, or null if no provider supports the URL.
+ */
+const embedSource = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    for (const [provider, toSrc] of Object.entries(EMBED_PROVIDERS)) {
+        const src = toSrc(url);
+        if (src) return { provider, src };
+    }
+    return null;
+};
+
+/**
+ * Cleans the blocks of an article body: inline HTML in paragraphs and quotes is reduced
+ * to the allowed tags, headings get a valid level and embeds get their provider. Plain text fields are kept as they
+ * are and escaped when rendered.
+ *
+ * @function sanitizeBlocks
+ * @param {Array<Object>} blocks - The blocks as received.
+ * @returns {Array<Object>} The cleaned blocks.
+ */
+const sanitizeBlocks = (blocks) => (blocks || []).map((block) => {
+    switch (block.type) {
+        case 'paragraph':
+        case 'quote':
+            return { ...block, text: sanitizeHtml(block.text || '', INLINE_HTML) };
+        case 'heading':
+            return { ...block, level: [2, 3, 4].includes(block.level) ? block.level : 2 };
+        case 'embed':
+            return { ...block, provider: embedSource(block.url)?.provider || null };
+        default:
+            return { ...block };
+    }
+});
+
+// seconds as m:ss or h:mm:ss
+const formatTime = (seconds) => {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// text content of sanitized inline HTML
+const inlineText = (html) => sanitizeHtml(html || '', { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const caption = (text) => (text ? `<figcaption>${escapeHtml(text)}</figcaption>` : '');
+
+/**
+ * Renders sanitized blocks as HTML.
+ *
+ * @function renderHtml
+ * @param {Array<Object>} blocks - The sanitized blocks.
+ * @returns {string} The HTML, one element per block.
+ */
+const renderHtml = (blocks) => (blocks || []).map((block) => {
+    switch (block.type) {
+        case 'paragraph':
+            return `<p>${block.text}</p>`;
+        case 'heading':
+            return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+        case 'image':
+            return `<figure><img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt || '')}">${caption(block.caption)}</figure>`;
+        case 'quote':
+            return `<blockquote><p>${block.text}</p>${block.cite ? `<cite>${escapeHtml(block.cite)}</cite>` : ''}</blockquote>`;
+        case 'embed': {
+            const source = embedSource(block.url);
+            const content = source
+                ? `<iframe src="${escapeHtml(source.src)}" loading="lazy" allowfullscreen></iframe>`
+                : `<a href="${escapeHtml(block.url)}">${escapeHtml(block.url)}</a>`;
+            return `<figure class="embed">${content}${caption(block.caption)}</figure>`;
+        }
+        case 'code':
+            return `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${escapeHtml(block.code)}</code></pre>`;
+        case 'timestamp':
+            return `<p class="timestamp"><a href="#t=${block.time}" data-time="${block.time}">${formatTime(block.time)}</a> ${escapeHtml(block.label || '')}</p>`;
+        default:
+            return '';
+    }
+}).join('\n');
+
+/**
+ * Renders sanitized blocks as plain text, one paragraph per block. Images and embeds
+ * contribute their caption only.
+ *
+ * @function renderText
+ * @param {Array<Object>} blocks - The sanitized blocks.
+ * @returns {string} The text.
+ */
+const renderText = (blocks) => (blocks || []).map((block) => {
+    switch (block.type) {
+        case 'paragraph':
+            return inlineText(block.text);
+        case 'quote':
+            return `"${inlineText(block.text)}"${block.cite ? ` - ${block.cite}` : ''}`;
+        case 'heading':
+            return block.text;
+        case 'code':
+            return block.code;
+        case 'image':
+        case 'embed':
+            return block.caption || '';
+        case 'timestamp':
+            return `${formatTime(block.time)} ${block.label || ''}`.trim();
+        default:
+            return '';
+    }
+}).filter(Boolean).join('\n\n');
+
+/**
+ * Counts the words of an article body and estimates how long it takes to read.
+ *
+ * @function readingStats
+ * @param {Array<Object>} blocks - The sanitized blocks.
+ * @param {string} [fallback=""] - Text to count instead when there are no blocks, e.g. the description.
+ * @returns {{wordCount: number, readingTime: number}} The word count and the reading time in minutes.
+ */
+const readingStats = (blocks, fallback = '') => {
+    const text = blocks && blocks.length > 0 ? renderText(blocks) : fallback || '';
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    return { wordCount, readingTime: wordCount === 0 ? 0 : Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) };
+};
+
+module.exports = {
+    BLOCK_TYPES,
+    embedSource,
+    sanitizeBlocks,
+    renderHtml,
+    renderText,
+    readingStats
+};
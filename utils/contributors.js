@@ -0,0 +1,19 @@
+// the roles of the people credited on an article; "author" is the byline, the first one is the primary author
+const CONTRIBUTOR_ROLES = ['author', 'co-author', 'photographer', 'videographer', 'illustrator', 'editor', 'contributor'];
+
+/**
+ * Builds the article conditions matching any article the given authors contributed to, in any role.
+ * The primary `author` is checked as well, for articles saved before contributors existed.
+ *
+ * @function contributedByFilter
+ * @param {Array<mongoose.Types.ObjectId>} authorIds - The ObjectIds of the authors.
+ * @returns {Object} The article conditions.
+ */
+const contributedByFilter = (authorIds) => ({
+    $or: [{ author: { $in: authorIds } }, { 'contributors.author': { $in: authorIds } }]
+});
+
+module.exports = {
+    CONTRIBUTOR_ROLES,
+    contributedByFilter
+};
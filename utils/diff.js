@@ -0,0 +1,27 @@
+// compare values structurally, so ObjectIds, dates and arrays compare by content
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Lists the top-level fields that differ between two plain objects.
+ *
+ * @function diffFields
+ * @param {Object} before - The older object.
+ * @param {Object} after - The newer object.
+ * @returns {Array<{field: string, from: *, to: *}>} One entry per changed field, sorted by field name;
+ * `from`/`to` are null when the field is missing on that side.
+ */
+const diffFields = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+        .sort()
+        .filter(field => !same(before[field] ?? null, after[field] ?? null))
+        .map(field => ({
+            field,
+            from: before[field] ?? null,
+            to: after[field] ?? null,
+        }));
+};
+
+module.exports = {
+    diffFields
+};
@@ -0,0 +1,26 @@
+const { siteUrl } = require('./site');
+
+// email asking a new user to confirm their address
+const verificationEmail = (user, token) => {
+    const link = siteUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+    return {
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`
+    };
+};
+
+// email with a single-use link to choose a new password
+const passwordResetEmail = (user, token) => {
+    const link = siteUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+    return {
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If that was you, open the link below:\n\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`
+    };
+};
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail
+};
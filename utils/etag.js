@@ -0,0 +1,46 @@
+// strong ETag derived from the document id and its version key
+const etagFor = (doc) => `"${doc._id}-${doc.__v ?? 0}"`;
+
+/**
+ * Checks the client's optimistic concurrency precondition against the stored document.
+ * The client can send either an `If-Match` header with the ETag it last saw (or `*`), or a
+ * `version` field in the body holding the `__v` it last saw. Without either the check passes.
+ *
+ * @function versionConflict
+ * @param {Object} req - The request object.
+ * @param {Object} doc - The current document.
+ * @returns {number|null} The status to answer if the document changed since the client read it:
+ * 412 for a stale `If-Match`, 409 for a stale `version`; null if the check passes.
+ */
+const versionConflict = (req, doc) => {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) {
+        const current = etagFor(doc);
+        const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        if (!tags.includes('*') && !tags.includes(current)) return 412;
+    }
+
+    const version = req.body?.version;
+    if (version !== undefined && Number(version) !== (doc.__v ?? 0)) return 409;
+
+    return null;
+};
+
+// the 409 or 412 body sent when an edit is based on an outdated version
+const conflictResponse = (doc) => ({
+    status: 0,
+    message: 'This record was changed by someone else, reload it and try again',
+    data: { version: doc.__v ?? 0, etag: etagFor(doc) }
+});
+
+// pick only the given fields that are present in the body
+const pickFields = (body, fields) => Object.fromEntries(
+    fields.filter(field => body && Object.prototype.hasOwnProperty.call(body, field)).map(field => [field, body[field]])
+);
+
+module.exports = {
+    etagFor,
+    versionConflict,
+    conflictResponse,
+    pickFields
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Built-in transports. Each takes a message { from, to, subject, text, html } and delivers it.
+const transports = {
+    // print the message, the default for local development
+    console: async (message) => {
+        console.log(`[mail] to: ${message.to} | subject: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+    },
+    // write each message as a JSON file into MAIL_DIR, handy for tests and staging
+    file: async (message) => {
+        const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        return { transport: 'file', file };
+    }
+};
+
+let customTransport = null;
+
+/**
+ * Replaces the transport used by sendMail, e.g. with an SMTP or provider client,
+ * or with a function that captures messages in tests. Pass null to go back to MAIL_TRANSPORT.
+ *
+ * @function setTransport
+ * @param {Function|null} transport - An async function receiving the message.
+ * @returns {void}
+ */
+const setTransport = (transport) => {
+    customTransport = transport;
+};
+
+/**
+ * Sends an email through the configured transport (MAIL_TRANSPORT, "console" by default).
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message - The message to send.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain text body.
+ * @param {string} [message.html] - The HTML body (optional).
+ * @returns {Promise<Object>} Whatever the transport reports back.
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = customTransport || transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    return transport({
+        from: process.env.MAIL_FROM || 'no-reply@localhost',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    transports,
+    setTransport,
+    sendMail
+};
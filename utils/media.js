@@ -0,0 +1,172 @@
+const fs = require('fs');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+
+// accepted file types and the size limit of each kind of asset
+const MEDIA_RULES = {
+    image: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'],
+        maxSize: 10 * MB
+    },
+    audio: {
+        mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/wav', 'audio/webm'],
+        maxSize: 200 * MB
+    },
+    video: {
+        mimeTypes: ['video/mp4', 'video/webm', 'video/quicktime'],
+        maxSize: 1024 * MB
+    }
+};
+
+const MEDIA_KINDS = Object.keys(MEDIA_RULES);
+
+// the largest upload of any kind, the hard limit while the file is received
+const MAX_UPLOAD_SIZE = Math.max(...MEDIA_KINDS.map(kind => MEDIA_RULES[kind].maxSize));
+
+// the kinds of asset an article of each type can use
+const ARTICLE_TYPE_MEDIA = {
+    text: ['image'],
+    audio: ['image', 'audio'],
+    video: ['image', 'video']
+};
+
+// generated sizes of uploaded images; the thumbnail is cropped to a square, the others keep their ratio
+const IMAGE_SIZES = [
+    { name: 'thumbnail', width: 150, height: 150, fit: 'cover' },
+    { name: 'small', width: 480 },
+    { name: 'medium', width: 960 },
+    { name: 'large', width: 1600 }
+];
+
+// the kind of asset a MIME type belongs to, or null if it isn't accepted
+const kindOf = (mimeType) => MEDIA_KINDS.find(kind => MEDIA_RULES[kind].mimeTypes.includes(mimeType)) || null;
+
+// the extension stored files get for each accepted MIME type; the name the client sent is never trusted
+const FILE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/webm': 'weba',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov'
+};
+
+// the first bytes of each accepted file type
+const ascii = (header, offset, text) => header.toString('latin1', offset, offset + text.length) === text;
+const isoMedia = (header) => ascii(header, 4, 'ftyp');
+const FILE_SIGNATURES = {
+    'image/jpeg': (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff,
+    'image/png': (header) => ascii(header, 0, '\x89PNG\r\n\x1a\n'),
+    'image/webp': (header) => ascii(header, 0, 'RIFF') && ascii(header, 8, 'WEBP'),
+    'image/gif': (header) => ascii(header, 0, 'GIF87a') || ascii(header, 0, 'GIF89a'),
+    'image/avif': (header) => isoMedia(header) && (ascii(header, 8, 'avif') || ascii(header, 8, 'avis')),
+    // an ID3 tag or straight into an MPEG audio frame
+    'audio/mpeg': (header) => ascii(header, 0, 'ID3') || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0),
+    'audio/mp4': isoMedia,
+    // an ADTS frame or an ADIF header
+    'audio/aac': (header) => (header[0] === 0xff && (header[1] & 0xf6) === 0xf0) || ascii(header, 0, 'ADIF'),
+    'audio/ogg': (header) => ascii(header, 0, 'OggS'),
+    'audio/wav': (header) => ascii(header, 0, 'RIFF') && ascii(header, 8, 'WAVE'),
+    'audio/webm': (header) => header.readUInt32BE(0) === 0x1a45dfa3,
+    'video/mp4': isoMedia,
+    'video/webm': (header) => header.readUInt32BE(0) === 0x1a45dfa3,
+    'video/quicktime': (header) => ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].some(atom => ascii(header, 4, atom))
+};
+
+/**
+ * Checks that a file starts like the MIME type it was uploaded as, so a page or script can't
+ * be stored as audio or video and served back from our origin.
+ *
+ * @async
+ * @function matchesMimeType
+ * @param {string} file - The path of the uploaded file.
+ * @param {string} mimeType - The MIME type the client declared, one of the accepted ones.
+ * @returns {Promise<boolean>} False if the content is of another type.
+ */
+const matchesMimeType = async (file, mimeType) => {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const header = Buffer.alloc(16);
+        const { bytesRead } = await handle.read(header, 0, header.length, 0);
+        return bytesRead === header.length && Boolean(FILE_SIGNATURES[mimeType]?.(header));
+    } finally {
+        await handle.close();
+    }
+};
+
+// MIME types of media files by extension, for media that was linked rather than uploaded
+const EXTENSION_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    wav: 'audio/wav',
+    weba: 'audio/webm',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm',
+    mov: 'video/quicktime'
+};
+
+/**
+ * Guesses the MIME type of a media URL from its extension.
+ *
+ * @function mimeTypeOf
+ * @param {string} url - The URL of the file.
+ * @param {string} kind - "audio" or "video", used when the extension is unknown.
+ * @returns {string} The MIME type; "audio/mpeg" or "video/mp4" when unknown.
+ */
+const mimeTypeOf = (url, kind) => {
+    const ext = String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+    return EXTENSION_TYPES[ext] || (kind === 'video' ? 'video/mp4' : 'audio/mpeg');
+};
+
+/**
+ * Reads the dimensions of an image and renders its thumbnail and responsive sizes as WebP.
+ * Images are never enlarged, so a small image can get variants of the same width.
+ *
+ * @async
+ * @function createImageVariants
+ * @param {string} file - The path of the uploaded image.
+ * @returns {Promise<{width: number, height: number, variants: Array<{name: string, width: number, height: number, body: Buffer}>}>}
+ * The dimensions of the original and the rendered variants.
+ * @throws {Error} If the file is not a readable image.
+ */
+const createImageVariants = async (file) => {
+    const { width, height } = await sharp(file).metadata();
+
+    const variants = [];
+    for (const size of IMAGE_SIZES) {
+        const { data, info } = await sharp(file)
+            .rotate()
+            .resize({ width: size.width, height: size.height, fit: size.fit || 'inside', withoutEnlargement: true })
+            .webp()
+            .toBuffer({ resolveWithObject: true });
+        variants.push({ name: size.name, width: info.width, height: info.height, body: data });
+    }
+
+    return { width, height, variants };
+};
+
+module.exports = {
+    MEDIA_RULES,
+    MEDIA_KINDS,
+    MAX_UPLOAD_SIZE,
+    ARTICLE_TYPE_MEDIA,
+    IMAGE_SIZES,
+    FILE_EXTENSIONS,
+    kindOf,
+    matchesMimeType,
+    mimeTypeOf,
+    createImageVariants
+};
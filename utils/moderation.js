@@ -0,0 +1,31 @@
+const { escapeRegExp } = require('./text');
+
+// moderation states of a reader comment; only approved comments are shown to readers
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'removed'];
+
+// lower case without accents, so "Café" and "cafe" compare equal
+const normalize = (value) => String(value).normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// words and phrases comments may not contain, from the comma separated BANNED_WORDS setting
+const bannedWords = () => (process.env.BANNED_WORDS || '')
+    .split(',')
+    .map(word => normalize(word.trim()))
+    .filter(Boolean);
+
+/**
+ * Finds the banned words a text contains. Words match whole, ignoring case and accents,
+ * so a banned "ass" doesn't catch "class".
+ *
+ * @function bannedWordsIn
+ * @param {string} text - The text to check.
+ * @returns {Array<string>} The banned words found, empty if the text is clean.
+ */
+const bannedWordsIn = (text) => {
+    const normalized = normalize(text);
+    return bannedWords().filter(word => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, 'u').test(normalized));
+};
+
+module.exports = {
+    COMMENT_STATUSES,
+    bannedWordsIn
+};
@@ -0,0 +1,140 @@
+const { isObjectIdOrHexString } = require('mongoose');
+
+/**
+ * Builds the opaque cursor pointing just past the given document: its sort value and `_id`,
+ * base64url encoded so clients treat it as a token rather than something to edit.
+ *
+ * @function encodeCursor
+ * @param {Object} doc - The last document of the page.
+ * @param {string} sortField - The field the listing is sorted by.
+ * @returns {string} The cursor.
+ */
+const encodeCursor = (doc, sortField) => {
+    const value = sortField === '_id' ? null : doc.get ? doc.get(sortField) : doc[sortField];
+    const position = value instanceof Date
+        ? { d: value.toISOString(), id: String(doc._id) }
+        : { v: value ?? null, id: String(doc._id) };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Reads a cursor made by `encodeCursor`.
+ *
+ * @function decodeCursor
+ * @param {string} cursor - The cursor sent by the client.
+ * @returns {{value: *, id: string}|null} The position, or null if the cursor is malformed.
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!position || !isObjectIdOrHexString(position.id)) return null;
+        if (position.d !== undefined) {
+            const date = new Date(position.d);
+            return Number.isNaN(date.getTime()) ? null : { value: date, id: position.id };
+        }
+        return { value: position.v ?? null, id: position.id };
+    } catch {
+        return null;
+    }
+};
+
+// condition matching the documents that sort after the cursor position, ties broken by _id
+const afterCursor = (sortField, order, { value, id }) => {
+    const op = order === -1 ? '$lt' : '$gt';
+    if (sortField === '_id') return { _id: { [op]: id } };
+
+    // null sorts before every other value, so it comes last when descending
+    if (value === null) {
+        return order === -1
+            ? { [sortField]: null, _id: { $lt: id } }
+            : { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] };
+    }
+
+    const conditions = [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }];
+    if (order === -1) conditions.push({ [sortField]: null });
+    return { $or: conditions };
+};
+
+/**
+ * Fetches one page of a listing, either by page number or by cursor.
+ *
+ * Page mode skips `(page - 1) * limit` documents. Cursor mode continues right after the
+ * document the cursor was made from, so documents inserted meanwhile never shift the page.
+ * The total count always uses the same filter as the page itself.
+ *
+ * @async
+ * @function paginate
+ * @param {mongoose.Model} Model - The model to list.
+ * @param {Object} filter - The listing filter.
+ * @param {Object} options - The pagination options.
+ * @param {string} [options.sortField="_id"] - The field to sort by; `select` must include it.
+ * @param {number} [options.order=-1] - 1 for ascending, -1 for descending.
+ * @param {number} [options.page=1] - The page number, ignored when a cursor is given.
+ * @param {number} [options.limit=10] - The number of documents per page.
+ * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+ * @param {string} [options.select] - The fields to return.
+ * @param {Array} [options.populate=[]] - One entry per `populate` call: a path, an options object or a `[path, select]` pair.
+ * @returns {Promise<{items: Array, pageInfo: Object}>} The documents and the metadata
+ * (`page`, `limit`, `totalCount`, `totalPages`, `hasNextPage`, `nextCursor`).
+ * @throws {Error} If the cursor is malformed; routes validate it first.
+ */
+const paginate = async (Model, filter, {
+    sortField = '_id',
+    order = -1,
+    page = 1,
+    limit = 10,
+    cursor,
+    select,
+    populate = []
+} = {}) => {
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) throw new Error('Invalid cursor');
+
+    // merge rather than wrap so top level conditions (like deletedAt) stay visible to plugins
+    const pageFilter = position
+        ? { ...filter, $and: [...(filter.$and || []), afterCursor(sortField, order, position)] }
+        : filter;
+    const sort = sortField === '_id' ? { _id: order } : { [sortField]: order, _id: order };
+
+    // one extra document tells whether there is a next page
+    const query = Model.find(pageFilter).sort(sort).limit(limit + 1);
+    if (!position) query.skip((page - 1) * limit);
+    if (select) query.select(select);
+    populate.forEach(args => query.populate(...[].concat(args)));
+
+    const [docs, totalCount] = await Promise.all([query, Model.countDocuments(filter)]);
+    const hasNextPage = docs.length > limit;
+    const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+    return {
+        items,
+        pageInfo: {
+            page: position ? null : page,
+            limit,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            hasNextPage,
+            nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sortField) : null
+        }
+    };
+};
+
+/**
+ * Turns a `sort` query value such as "name" or "-createdAt" into paginate options.
+ *
+ * @function sortOptions
+ * @param {string} sort - The sort key, prefixed with "-" for descending.
+ * @param {Object<string, string>} fields - Maps each allowed sort key to the document field.
+ * @returns {{sortField: string, order: number}} The `sortField` and `order` for `paginate`.
+ */
+const sortOptions = (sort, fields) => {
+    const descending = sort.startsWith('-');
+    return { sortField: fields[descending ? sort.slice(1) : sort], order: descending ? -1 : 1 };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    paginate,
+    sortOptions
+};
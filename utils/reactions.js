@@ -0,0 +1,20 @@
+// the reactions a reader can leave on an article, one per reader and article
+const REACTION_TYPES = ['like', 'love', 'insightful', 'funny', 'sad'];
+
+/**
+ * Fills in the reaction counts of an article. The counts are only stored once someone reacted,
+ * so missing types count as zero.
+ *
+ * @function reactionTotals
+ * @param {Object} [counts] - The stored `reactionCounts` of the article.
+ * @returns {Object<string, number>} The count of every reaction type, and their `total`.
+ */
+const reactionTotals = (counts) => {
+    const totals = Object.fromEntries(REACTION_TYPES.map(type => [type, counts?.[type] || 0]));
+    return { ...totals, total: REACTION_TYPES.reduce((sum, type) => sum + totals[type], 0) };
+};
+
+module.exports = {
+    REACTION_TYPES,
+    reactionTotals
+};
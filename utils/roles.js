@@ -0,0 +1,14 @@
+// user roles, ordered from least to most privileged
+const ROLES = ['reader', 'author', 'editor', 'admin'];
+
+// roles allowed to manage CMS content
+const CMS_ROLES = ['author', 'editor', 'admin'];
+
+// roles allowed to manage content that isn't their own
+const EDITOR_ROLES = ['editor', 'admin'];
+
+module.exports = {
+    ROLES,
+    CMS_ROLES,
+    EDITOR_ROLES
+};
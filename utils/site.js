@@ -0,0 +1,25 @@
+// public URL of the frontend, used to build links in emails, feeds and sitemaps
+const siteUrl = (pathname = '/') => {
+    const base = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+};
+
+// name and language of the site, used as the title of feeds
+const siteName = () => process.env.SITE_NAME || 'News';
+const siteLanguage = () => process.env.SITE_LANGUAGE || 'en';
+
+// frontend pages of articles, categories, authors and tags; slugs fall back to the ObjectId
+const articleUrl = (article) => siteUrl(`/articles/${article.slug || article._id}`);
+const categoryUrl = (category) => siteUrl(`/categories/${category.slug || category._id}`);
+const authorUrl = (author) => siteUrl(`/authors/${author.slug || author._id}`);
+const tagUrl = (tag) => siteUrl(`/tags/${encodeURIComponent(tag.key)}`);
+
+module.exports = {
+    siteUrl,
+    siteName,
+    siteLanguage,
+    articleUrl,
+    categoryUrl,
+    authorUrl,
+    tagUrl
+};
@@ -0,0 +1,25 @@
+// maximum slug length, long titles are cut at a word boundary
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turns arbitrary text into a URL-friendly slug: lower case ASCII letters, digits and dashes.
+ * Accents are folded ("Café" becomes "cafe").
+ *
+ * @function slugify
+ * @param {string} value - The text to convert.
+ * @returns {string} The slug, or an empty string if nothing usable is left.
+ */
+const slugify = (value) => {
+    const slug = String(value ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= MAX_SLUG_LENGTH) return slug;
+    const cut = slug.slice(0, MAX_SLUG_LENGTH);
+    return cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut;
+};
+
+module.exports = slugify;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// where the local driver keeps files, also served by index.js under /uploads
+const uploadDir = () => process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+
+// public base URL of stored files
+const publicBaseUrl = (fallback) => (process.env.UPLOAD_URL || fallback).replace(/\/+$/, '');
+
+let s3 = null;
+
+// the S3 client is only loaded when the s3 driver is used, so the SDK stays an optional install
+const s3Client = () => {
+    if (!s3) {
+        let sdk;
+        try {
+            sdk = require('@aws-sdk/client-s3');
+        } catch {
+            throw new Error('The s3 storage driver needs the @aws-sdk/client-s3 package');
+        }
+        const client = new sdk.S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            // any S3-compatible service (MinIO, R2, Spaces...) via a custom endpoint
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: Boolean(process.env.S3_ENDPOINT)
+        });
+        s3 = { sdk, client };
+    }
+    return s3;
+};
+
+// Built-in drivers. `put` stores a file given as a Buffer (`body`) or a path on disk (`file`)
+// under `key` and returns its public URL, `remove` deletes it again.
+const drivers = {
+    // files on the local disk, the default
+    local: {
+        put: async ({ key, body, file }) => {
+            const target = path.join(uploadDir(), key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            if (body) await fs.promises.writeFile(target, body);
+            else await fs.promises.copyFile(file, target);
+            return `${publicBaseUrl(`http://localhost:${process.env.PORT || 5000}/uploads`)}/${key}`;
+        },
+        remove: async (key) => {
+            await fs.promises.rm(path.join(uploadDir(), key), { force: true });
+        }
+    },
+    // an S3 bucket, configured by S3_BUCKET, S3_REGION and optionally S3_ENDPOINT
+    s3: {
+        put: async ({ key, body, file, contentType }) => {
+            const { sdk, client } = s3Client();
+            const bucket = process.env.S3_BUCKET;
+            await client.send(new sdk.PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body || fs.createReadStream(file),
+                ContentLength: body ? body.length : (await fs.promises.stat(file)).size,
+                ContentType: contentType
+            }));
+            const region = process.env.S3_REGION || 'us-east-1';
+            return `${publicBaseUrl(`https://${bucket}.s3.${region}.amazonaws.com`)}/${key}`;
+        },
+        remove: async (key) => {
+            const { sdk, client } = s3Client();
+            await client.send(new sdk.DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+        }
+    }
+};
+
+let customStorage = null;
+
+/**
+ * Replaces the storage driver, e.g. with another provider or an in-memory one in tests.
+ * Pass null to go back to STORAGE_DRIVER.
+ *
+ * @function setStorage
+ * @param {{put: Function, remove: Function}|null} storage - The driver to use.
+ * @returns {void}
+ */
+const setStorage = (storage) => {
+    customStorage = storage;
+};
+
+/**
+ * Returns the configured storage driver (STORAGE_DRIVER, "local" by default).
+ *
+ * @function getStorage
+ * @returns {{put: Function, remove: Function}} The driver.
+ * @throws {Error} If STORAGE_DRIVER names an unknown driver.
+ */
+const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const storage = customStorage || drivers[name];
+    if (!storage) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+    return storage;
+};
+
+module.exports = {
+    drivers,
+    uploadDir,
+    setStorage,
+    getStorage
+};
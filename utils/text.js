@@ -0,0 +1,66 @@
+// escape a string so it can be used literally inside a RegExp
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// escape the characters that are significant in HTML
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Splits a $text search string into the terms worth highlighting.
+ * Negated terms ("-word") are dropped and quoted phrases are split into words.
+ *
+ * @function searchTerms
+ * @param {string} q - The raw search string.
+ * @returns {Array<string>} The lower-cased terms.
+ */
+const searchTerms = (q) => String(q)
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, '').toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Builds an HTML-safe snippet of `text` around the first matching term with every match
+ * wrapped in <mark>. Terms match as word prefixes, which roughly follows Mongo's stemming
+ * ("run" highlights "running").
+ *
+ * @function highlight
+ * @param {string} text - The text to take the snippet from.
+ * @param {Array<string>} terms - The terms to highlight.
+ * @param {number} [maxLength=160] - The maximum snippet length, before markup.
+ * @returns {string|null} The highlighted snippet, or null if no term occurs in the text.
+ */
+const highlight = (text, terms, maxLength = 160) => {
+    if (!text || terms.length === 0) return null;
+
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+    const first = text.search(pattern);
+    if (first === -1) return null;
+
+    // centre the window on the first match when the text is longer than the snippet
+    let start = Math.max(0, first - Math.floor(maxLength / 3));
+    const end = Math.min(text.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+
+    const snippet = text.slice(start, end);
+    let result = '';
+    let last = 0;
+    for (const match of snippet.matchAll(pattern)) {
+        result += escapeHtml(snippet.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    result += escapeHtml(snippet.slice(last));
+
+    return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+    escapeRegExp,
+    escapeHtml,
+    searchTerms,
+    highlight
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// read lazily: dotenv is loaded after the routes are required
+const accessTokenTtl = () => process.env.JWT_EXPIRES_IN || '15m';
+const refreshTokenTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// sha256 hex digest, used to store tokens without keeping them in plain text
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// random url-safe secret
+const randomToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Signs a short-lived access token for the user, bound to a session.
+ *
+ * @function signAccessToken
+ * @param {Object} user - The user document.
+ * @param {string} sessionId - The ID of the session the token belongs to.
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        author: user.author || null,
+        sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+);
+
+// refresh tokens look like "<sessionId>.<secret>" so the session can be found without a hash lookup
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (token) => {
+    const [sessionId, secret] = String(token).split('.');
+    if (!sessionId || !secret) return null;
+    return { sessionId, secret };
+};
+
+module.exports = {
+    accessTokenTtl,
+    refreshTokenTtlMs,
+    hashToken,
+    randomToken,
+    signAccessToken,
+    buildRefreshToken,
+    parseRefreshToken
+};
@@ -0,0 +1,68 @@
+const ArticleView = require('../models/articleViewModel');
+const ArticleViewStat = require('../models/articleViewStatModel');
+const { hashToken } = require('./tokens');
+
+// crawlers and link previews don't count as readers
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+// hourly rollups are kept long enough for the longest trending window
+const HOURLY_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+
+// the same visitor across requests: the user when logged in, otherwise their IP address and browser
+const visitorKey = (req) => (req.user?.id
+    ? `user:${req.user.id}`
+    : `anon:${hashToken(`${req.ip}|${req.get('User-Agent') || ''}`)}`);
+
+// the start of the UTC hour or day a date falls in
+const startOf = (date, period) => {
+    const start = new Date(date);
+    start.setUTCMinutes(0, 0, 0);
+    if (period === 'day') start.setUTCHours(0);
+    return start;
+};
+
+/**
+ * Records a view of an article and adds it to the hourly and daily rollups. Views from crawlers
+ * and repeated views by the same visitor within 30 minutes are not counted. Failures are logged
+ * rather than thrown, counting views must never stop an article from being read.
+ *
+ * @async
+ * @function recordView
+ * @param {mongoose.Types.ObjectId} articleId - The ObjectId of the article.
+ * @param {Object} req - The request of the visitor.
+ * @returns {Promise<boolean>} True if the view was counted.
+ */
+const recordView = async (articleId, req) => {
+    if (BOT_PATTERN.test(req.get('User-Agent') || '')) return false;
+
+    try {
+        await ArticleView.create({ article: articleId, visitor: visitorKey(req) });
+    } catch (err) {
+        // a duplicate key means this visitor was already counted
+        if (err.code !== 11000) console.error('Error recording view:', err);
+        return false;
+    }
+
+    try {
+        const now = new Date();
+        await ArticleViewStat.bulkWrite(['hour', 'day'].map(period => ({
+            updateOne: {
+                filter: { article: articleId, period, start: startOf(now, period) },
+                update: {
+                    $inc: { count: 1 },
+                    ...(period === 'hour' ? { $setOnInsert: { expiresAt: new Date(now.getTime() + HOURLY_RETENTION_MS) } } : {})
+                },
+                upsert: true
+            }
+        })));
+    } catch (err) {
+        console.error('Error recording view:', err);
+        return false;
+    }
+    return true;
+};
+
+module.exports = {
+    startOf,
+    recordView
+};
@@ -0,0 +1,57 @@
+// escape the characters that are significant in XML text and attribute values
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // characters XML 1.0 doesn't allow at all
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '');
+
+/**
+ * Builds an XML element. Attributes that are null or undefined are left out.
+ *
+ * @function xmlElement
+ * @param {string} name - The element name, with its namespace prefix if any.
+ * @param {Object} [attributes={}] - The attributes, escaped here.
+ * @param {string|Array<string>} [children] - Markup already built with xmlElement or xmlText, not escaped;
+ * null entries are skipped. Without children the element is self-closing.
+ * @returns {string} The element.
+ */
+const xmlElement = (name, attributes = {}, children) => {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    const content = Array.isArray(children) ? children.filter(child => child !== null && child !== undefined).join('') : children;
+    if (content === undefined || content === null || content === '') return `<${name}${attrs}/>`;
+    return `<${name}${attrs}>${content}</${name}>`;
+};
+
+/**
+ * Builds an element holding escaped text, or nothing when the value is empty.
+ *
+ * @function xmlText
+ * @param {string} name - The element name.
+ * @param {*} value - The text; null, undefined and '' leave the element out.
+ * @param {Object} [attributes={}] - The attributes.
+ * @returns {string|null} The element, or null.
+ */
+const xmlText = (name, value, attributes = {}) => {
+    if (value === null || value === undefined || value === '') return null;
+    return xmlElement(name, attributes, escapeXml(value));
+};
+
+// wrap markup in a CDATA section, splitting any "]]>" it contains
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// a complete document from its root element
+const xmlDocument = (root) => `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+
+module.exports = {
+    escapeXml,
+    xmlElement,
+    xmlText,
+    cdata,
+    xmlDocument
+};
@@ -0,0 +1,163 @@
+const Joi = require('joi');
+const { objectId, slug, url, version, page, limit, cursor, paginationQuery } = require('./common');
+const { ARTICLE_STATUSES } = require('../utils/articleWorkflow');
+const { BLOCK_TYPES, embedSource } = require('../utils/blocks');
+const { CONTRIBUTOR_ROLES } = require('../utils/contributors');
+
+const articleType = Joi.string().valid('text', 'audio', 'video');
+
+// the fields of each kind of body block; inline HTML is sanitized by the model, not rejected here
+const blockFields = {
+    paragraph: { text: Joi.string().max(20000).required() },
+    heading: { text: Joi.string().trim().min(1).max(300).required(), level: Joi.number().integer().min(2).max(4).default(2) },
+    image: {
+        url: url.when('asset', { is: Joi.string().required(), otherwise: Joi.required() }),
+        // an image from the asset library, fills url
+        asset: objectId,
+        alt: Joi.string().trim().max(500).allow(''),
+        caption: Joi.string().trim().max(1000).allow('')
+    },
+    quote: { text: Joi.string().max(5000).required(), cite: Joi.string().trim().max(300).allow('') },
+    embed: {
+        url: url.required().custom((value, helpers) => (embedSource(value) ? value : helpers.error('any.invalid')))
+            .messages({ 'any.invalid': '{{#label}} is not from a supported embed provider (YouTube, Vimeo, Spotify, SoundCloud)' }),
+        caption: Joi.string().trim().max(1000).allow('')
+    },
+    code: { code: Joi.string().max(20000).required(), language: Joi.string().trim().lowercase().pattern(/^[a-z0-9+#-]{1,30}$/) },
+    // a jump point in the audio or video, in seconds
+    timestamp: { time: Joi.number().integer().min(0).required(), label: Joi.string().trim().max(300).allow('') }
+};
+
+const block = Joi.object({ type: Joi.string().valid(...BLOCK_TYPES).required() }).unknown()
+    .when('.type', {
+        switch: BLOCK_TYPES.map(type => ({ is: type, then: Joi.object(blockFields[type]).unknown(false) }))
+    });
+
+// fields shared by create, update and patch; requirements are added per route
+const articleFields = {
+    title: Joi.string().trim().min(1).max(300),
+    subtitle: Joi.string().trim().max(500).allow(''),
+    slug,
+    articleImage: url,
+    // an image from the asset library, fills articleImage
+    imageAsset: objectId.allow(null),
+    articleType,
+    description: Joi.string().max(10000).allow(''),
+    body: Joi.array().items(block).max(500),
+    mediaUrl: url.allow(''),
+    // an audio or video asset from the library, fills mediaUrl
+    mediaAsset: objectId.allow(null),
+    // details of the media file for podcast apps; the size and type are filled in from mediaAsset
+    mediaDuration: Joi.number().integer().min(0).allow(null),
+    mediaSize: Joi.number().integer().min(0).allow(null),
+    mediaType: Joi.string().trim().pattern(/^(audio|video)\/[\w.+-]+$/).allow(null)
+        .messages({ 'string.pattern.base': '{{#label}} must be an audio or video MIME type' }),
+    category: objectId,
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(30),
+    author: objectId,
+    // the byline in order; the primary author is added when missing
+    contributors: Joi.array().items(Joi.object({
+        author: objectId.required(),
+        role: Joi.string().valid(...CONTRIBUTOR_ROLES).default('author')
+    })).max(20)
+};
+
+exports.createArticleValidation = Joi.object({
+    ...articleFields,
+    title: articleFields.title.required(),
+    // an image is required, either as a URL or from the asset library
+    articleImage: articleFields.articleImage.when('imageAsset', {
+        is: Joi.string().required(),
+        otherwise: Joi.required()
+    }),
+    // audio and video articles need their media, unless it comes from the asset library
+    mediaUrl: articleFields.mediaUrl.when('articleType', {
+        is: Joi.valid('audio', 'video').required(),
+        then: Joi.when('mediaAsset', {
+            is: Joi.string().required(),
+            otherwise: Joi.required().invalid('')
+        })
+    }),
+    category: articleFields.category.required(),
+    author: articleFields.author.required()
+});
+
+// PUT replaces the article, so the required fields must all be present
+exports.updateArticleValidation = exports.createArticleValidation.keys({ version });
+
+exports.patchArticleValidation = Joi.object({ ...articleFields, version })
+    .or(...Object.keys(articleFields))
+    .messages({ 'object.missing': 'No updatable fields provided' });
+
+exports.articleListQuery = Joi.object({
+    page,
+    limit,
+    cursor,
+    categoryId: Joi.string().trim().max(100),
+    includeSubcategories: Joi.boolean().default(false),
+    tag: Joi.string().trim().max(50),
+    authorName: Joi.string().trim().max(100),
+    articleType,
+    sort: Joi.string().valid('latest', 'mostLiked').default('latest')
+});
+
+exports.searchQuery = Joi.object({
+    q: Joi.string().trim().min(1).max(200).required()
+        .messages({ 'any.required': 'Search query is required', 'string.empty': 'Search query is required' }),
+    page,
+    limit,
+    categoryId: Joi.string().trim().max(100),
+    articleType
+});
+
+exports.relatedQuery = Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5)
+});
+
+exports.renderQuery = Joi.object({
+    format: Joi.string().valid('html', 'text').default('html')
+});
+
+// the rankings by views: a window, optionally narrowed to a category and an article type
+const rankingQuery = Joi.object({
+    categoryId: Joi.string().trim().max(100),
+    articleType,
+    limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+exports.trendingQuery = rankingQuery.keys({
+    window: Joi.string().valid('1h', '6h', '24h', '48h').default('24h')
+});
+
+exports.mostReadQuery = rankingQuery.keys({
+    window: Joi.string().valid('day', 'week', 'month', 'year', 'all').default('week')
+});
+
+exports.cmsListQuery = paginationQuery.keys({
+    status: Joi.string().valid(...ARTICLE_STATUSES)
+});
+
+exports.revisionParams = Joi.object({
+    id: objectId.required(),
+    rev: Joi.number().integer().min(1).required()
+});
+
+exports.revisionDiffQuery = Joi.object({
+    from: Joi.number().integer().min(1),
+    to: Joi.number().integer().min(1)
+});
+
+// submit, approve and archive accept an optional note for the status history
+exports.statusChangeValidation = Joi.object({
+    comment: Joi.string().trim().max(1000)
+});
+
+exports.rejectValidation = Joi.object({
+    comment: Joi.string().trim().min(1).max(1000).required()
+        .messages({ 'any.required': 'A comment is required when rejecting an article' })
+});
+
+exports.scheduleValidation = Joi.object({
+    publishDate: Joi.date().iso().greater('now').required(),
+    comment: Joi.string().trim().max(1000)
+});
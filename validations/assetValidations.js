@@ -0,0 +1,18 @@
+const Joi = require('joi');
+const { paginationQuery } = require('./common');
+const { MEDIA_KINDS, ARTICLE_TYPE_MEDIA } = require('../utils/media');
+
+// the multipart fields sent along with the file
+exports.uploadAssetValidation = Joi.object({
+    articleType: Joi.string().valid(...Object.keys(ARTICLE_TYPE_MEDIA)),
+    alt: Joi.string().trim().max(300).allow('')
+});
+
+exports.assetListQuery = paginationQuery.keys({
+    kind: Joi.string().valid(...MEDIA_KINDS),
+    q: Joi.string().trim().min(1).max(100)
+});
+
+exports.updateAssetValidation = Joi.object({
+    alt: Joi.string().trim().max(300).allow('').required()
+});
@@ -1,14 +1,41 @@
 const Joi = require('joi');
+const { ROLES } = require('../utils/roles');
 
 exports.loginValidation = Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).required()
+    password: Joi.string().min(6).required(),
+    device: Joi.string().max(200)
 });
 
 exports.registerValidation = Joi.object({
     name: Joi.string().min(2).max(30).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
+    confirmPassword: Joi.string().valid(Joi.ref('password')).required()
+        .messages({ 'any.only': 'Passwords do not match' }),
+    device: Joi.string().max(200)
+});
+
+exports.refreshValidation = Joi.object({
+    refreshToken: Joi.string().required()
+});
+
+exports.updateRoleValidation = Joi.object({
+    role: Joi.string().valid(...ROLES).required(),
+    author: Joi.string().hex().length(24).allow(null)
+});
+
+exports.tokenValidation = Joi.object({
+    token: Joi.string().required()
+});
+
+exports.forgotPasswordValidation = Joi.object({
+    email: Joi.string().email().required()
+});
+
+exports.resetPasswordValidation = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required(),
     confirmPassword: Joi.string().valid(Joi.ref('password')).required()
         .messages({ 'any.only': 'Passwords do not match' })
 });
\ No newline at end of file
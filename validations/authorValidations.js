@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { objectId, slug, url, version, paginationQuery } = require('./common');
+const { CONTRIBUTOR_ROLES } = require('../utils/contributors');
+
+const authorFields = {
+    authorName: Joi.string().trim().min(1).max(100),
+    slug,
+    authorImage: url.allow(''),
+    // an image from the asset library, fills authorImage
+    imageAsset: objectId.allow(null),
+    description: Joi.string().max(5000).allow('')
+};
+
+exports.createAuthorValidation = Joi.object({
+    ...authorFields,
+    authorName: authorFields.authorName.required()
+});
+
+exports.updateAuthorValidation = Joi.object({ ...authorFields, version });
+
+exports.patchAuthorValidation = exports.updateAuthorValidation
+    .or(...Object.keys(authorFields))
+    .messages({ 'object.missing': 'No updatable fields provided' });
+
+exports.authorArticlesQuery = paginationQuery.keys({
+    role: Joi.string().valid(...CONTRIBUTOR_ROLES)
+});
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+const { objectId, slug, url, version } = require('./common');
+
+// podcast settings of a category, replaced as a whole
+const podcast = Joi.object({
+    title: Joi.string().trim().max(300).allow(''),
+    description: Joi.string().max(4000).allow(''),
+    image: url.allow(''),
+    author: Joi.string().trim().max(200).allow(''),
+    ownerName: Joi.string().trim().max(200).allow(''),
+    ownerEmail: Joi.string().trim().email().allow(''),
+    itunesCategory: Joi.string().trim().max(100).allow(''),
+    explicit: Joi.boolean()
+});
+
+const categoryFields = {
+    categoryName: Joi.string().trim().min(1).max(100),
+    slug,
+    // null moves the category to the top level
+    parent: objectId.allow(null),
+    // null removes the podcast settings
+    podcast: podcast.allow(null)
+};
+
+exports.createCategoryValidation = Joi.object({
+    ...categoryFields,
+    categoryName: categoryFields.categoryName.required()
+});
+
+exports.updateCategoryValidation = Joi.object({ ...categoryFields, version });
+
+exports.patchCategoryValidation = exports.updateCategoryValidation
+    .or(...Object.keys(categoryFields))
+    .messages({ 'object.missing': 'No updatable fields provided' });
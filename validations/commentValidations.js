@@ -0,0 +1,21 @@
+const Joi = require('joi');
+const { objectId, paginationQuery } = require('./common');
+const { COMMENT_STATUSES } = require('../utils/moderation');
+
+exports.createCommentValidation = Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required(),
+    // the comment this one replies to; a reply to a reply joins the same thread
+    parent: objectId
+});
+
+exports.commentListQuery = paginationQuery;
+
+exports.moderationQueueQuery = paginationQuery.keys({
+    status: Joi.string().valid(...COMMENT_STATUSES).default('pending'),
+    article: objectId
+});
+
+exports.moderateCommentValidation = Joi.object({
+    status: Joi.string().valid(...COMMENT_STATUSES).required(),
+    note: Joi.string().trim().max(1000).allow('')
+});
@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { decodeCursor } = require('../utils/pagination');
+
+// shared building blocks for the request schemas
+
+exports.objectId = Joi.string().hex().length(24)
+    .messages({ 'string.hex': '{{#label}} must be a valid ID', 'string.length': '{{#label}} must be a valid ID' });
+
+exports.slug = Joi.string().trim().lowercase().max(80).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .messages({ 'string.pattern.base': '{{#label}} may only contain lowercase letters, numbers and dashes' });
+
+exports.url = Joi.string().trim().uri({ scheme: ['http', 'https'] });
+
+// the __v the client last saw, for optimistic concurrency
+exports.version = Joi.number().integer().min(0);
+
+exports.page = Joi.number().integer().min(1).default(1);
+
+exports.limit = Joi.number().integer().min(1).max(100);
+
+// opaque `nextCursor` from a previous page, see utils/pagination.js
+exports.cursor = Joi.string().max(500)
+    .custom((value, helpers) => (decodeCursor(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{{#label}} is not a valid cursor' });
+
+// :id route parameter that must be an ObjectId
+exports.idParams = Joi.object({
+    id: exports.objectId.required()
+});
+
+// :id route parameter that may be an ObjectId, a short id or a slug
+exports.lookupParams = Joi.object({
+    id: Joi.string().trim().max(100).required()
+});
+
+exports.paginationQuery = Joi.object({
+    page: exports.page,
+    limit: exports.limit,
+    cursor: exports.cursor
+});
+
+// query string of the author and category listings: paging, name search and sorting
+exports.listingQuery = exports.paginationQuery.keys({
+    q: Joi.string().trim().min(1).max(100),
+    sort: Joi.string().valid('name', '-name', 'createdAt', '-createdAt').default('createdAt')
+});
+
+// how to handle the articles of an author or category that is being deleted
+exports.deleteQuery = Joi.object({
+    onArticles: Joi.string().valid('block', 'reassign', 'cascade').default('block'),
+    reassignTo: Joi.string().trim().when('onArticles', { is: 'reassign', then: Joi.required() })
+});
+
+exports.restoreQuery = Joi.object({
+    cascade: Joi.string().valid('true', 'false')
+});
@@ -0,0 +1,10 @@
+const Joi = require('joi');
+const { paginationQuery } = require('./common');
+
+exports.meListQuery = paginationQuery;
+
+// :type/:id of a follow, the id may be an ObjectId, a short id or a slug
+exports.followParams = Joi.object({
+    type: Joi.string().valid('authors', 'categories').required(),
+    id: Joi.string().trim().max(100).required()
+});
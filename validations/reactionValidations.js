@@ -0,0 +1,6 @@
+const Joi = require('joi');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+exports.reactionValidation = Joi.object({
+    type: Joi.string().valid(...REACTION_TYPES).required()
+});
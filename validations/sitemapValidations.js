@@ -0,0 +1,7 @@
+const Joi = require('joi');
+
+// /sitemaps/:section-:page.xml, e.g. articles-2.xml
+exports.sectionSitemapParams = Joi.object({
+    section: Joi.string().valid('articles', 'categories', 'authors').required(),
+    page: Joi.number().integer().min(1).required()
+});
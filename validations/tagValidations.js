@@ -0,0 +1,20 @@
+const Joi = require('joi');
+const { limit, listingQuery } = require('./common');
+
+// tags are listed alphabetically unless asked otherwise
+exports.tagListQuery = listingQuery.keys({
+    sort: Joi.string().valid('name', '-name', 'createdAt', '-createdAt').default('name')
+});
+
+exports.popularTagsQuery = Joi.object({
+    limit: limit.default(30)
+});
+
+exports.renameTagValidation = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required()
+});
+
+// the tag to keep, by ObjectId, key or name
+exports.mergeTagValidation = Joi.object({
+    into: Joi.string().trim().min(1).max(100).required()
+});